@@ -1,4 +1,6 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
 
 // Helper function to clean environment variables (remove quotes if present)
 const cleanEnv = (value) => {
@@ -12,6 +14,8 @@ const cleanEnv = (value) => {
   return cleaned;
 };
 
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-this';
+
 module.exports = {
   // Server
   port: process.env.PORT || 9001,
@@ -36,6 +40,8 @@ module.exports = {
     protocol: cleanEnv(process.env.MEDIAMTX_PROTOCOL) || 'http', // http or https
     user: cleanEnv(process.env.MEDIAMTX_USER) || '',
     pass: cleanEnv(process.env.MEDIAMTX_PASS) || '',
+    // Control API (e.g. http://127.0.0.1:9997); when set a stream is only ready once MediaMTX reports its path ready
+    apiUrl: (cleanEnv(process.env.MEDIAMTX_API_URL) || '').replace(/\/+$/, ''),
     getPushBase() {
       if (this.user && this.pass) {
         return `rtsp://${this.user}:${this.pass}@${this.host}:${this.rtspPort}`;
@@ -54,12 +60,132 @@ module.exports = {
   },
   
   // JWT
-  jwtSecret: cleanEnv(process.env.JWT_SECRET) || 'your-secret-key-change-this',
+  jwtSecret: cleanEnv(process.env.JWT_SECRET) || DEFAULT_JWT_SECRET,
+  defaultJwtSecret: DEFAULT_JWT_SECRET,
+  // Lifetime of the signed ?token= on master playlist URLs (seconds) - players fetch the master once
+  playlistTokenTtl: parseInt(cleanEnv(process.env.PLAYLIST_TOKEN_TTL_SECONDS)) || 300,
+
+  // Credential encryption (32 bytes, hex or base64)
+  credentialsKey: cleanEnv(process.env.CREDENTIALS_KEY) || '',
   
+  // Encoding - profile used by cameras without their own (see config/encodingProfiles.js)
+  encoding: {
+    defaultProfile: cleanEnv(process.env.ENCODING_DEFAULT_PROFILE) || 'standard',
+    // transcode, copy or auto (copy when the source is browser-compatible H.264)
+    defaultVideoMode: cleanEnv(process.env.VIDEO_MODE_DEFAULT) || 'transcode',
+    // Extra lower-quality renditions (encoding profile names) for cameras with the ABR ladder on
+    defaultRenditions: (cleanEnv(process.env.ABR_DEFAULT_RENDITIONS) || 'medium,low')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    maxRenditions: parseInt(cleanEnv(process.env.ABR_MAX_RENDITIONS)) || 3
+  },
+
+  // Stream readiness - a started stream must produce frames (and be ready on MediaMTX) within timeout
+  readiness: {
+    timeout: parseInt(cleanEnv(process.env.READINESS_TIMEOUT_MS)) || 30000, // ms before the process is killed
+    pollInterval: parseInt(cleanEnv(process.env.READINESS_POLL_MS)) || 1000, // ms between MediaMTX path checks
+    maxWait: 120000 // ms an API caller may wait for readiness
+  },
+
+  // Restart policy - backoff between restarts and the circuit breaker that parks failing cameras
+  restartPolicy: {
+    initialDelay: parseInt(cleanEnv(process.env.RESTART_INITIAL_DELAY_MS)) || 2000, // ms before the first restart
+    multiplier: parseFloat(cleanEnv(process.env.RESTART_BACKOFF_MULTIPLIER)) || 1.5,
+    maxDelay: parseInt(cleanEnv(process.env.RESTART_MAX_DELAY_MS)) || 30000,
+    maxAttempts: parseInt(cleanEnv(process.env.RESTART_MAX_ATTEMPTS)) || 10, // failures in a row before the camera is parked
+    cooldown: parseInt(cleanEnv(process.env.RESTART_COOLDOWN_MS)) || 300000, // ms between re-probes of a parked camera
+    // Lockout-safe mode for NVRs that lock accounts after failed logins: rejected logins park the
+    // camera at once, retries are at least lockoutMinDelay apart and parked cameras are not probed
+    lockoutSafe: cleanEnv(process.env.RESTART_LOCKOUT_SAFE) === 'true',
+    lockoutMinDelay: parseInt(cleanEnv(process.env.RESTART_LOCKOUT_MIN_DELAY_MS)) || 60000
+  },
+
+  // Stream monitor - status sync of all cameras (seconds, at least 1)
+  monitor: {
+    interval: Math.max(parseInt(cleanEnv(process.env.MONITOR_INTERVAL_SECONDS)) || 15, 1)
+  },
+
+  // Several streaming nodes share the cameras through leases on the camera documents
+  cluster: {
+    // Stable across restarts so a restarted node keeps its cameras; set NODE_ID when nodes share a hostname
+    nodeId: cleanEnv(process.env.NODE_ID) ||
+      (process.env.NODE_APP_INSTANCE !== undefined ? `${os.hostname()}-${process.env.NODE_APP_INSTANCE}` : os.hostname()),
+    leaseTtl: parseInt(cleanEnv(process.env.LEASE_TTL_MS)) || 30000, // ms before the cameras of a dead node fail over
+    renewInterval: parseInt(cleanEnv(process.env.LEASE_RENEW_MS)) || 10000
+  },
+
+  // Node capacity - streams this node runs and how many of them start at the same time
+  capacity: {
+    maxStreams: parseInt(cleanEnv(process.env.MAX_STREAMS)) || 0, // 0 = no limit
+    // Estimated CPU budget in encoder units (1 = one 1080p25 libx264 transcode, passthrough 0.1); 0 = no limit
+    cpuBudget: parseFloat(cleanEnv(process.env.CPU_BUDGET)) || 0,
+    startConcurrency: parseInt(cleanEnv(process.env.START_CONCURRENCY)) || 2, // a start holds its slot until ready or failed
+    retryAfter: 30 // seconds suggested to API callers refused for capacity
+  },
+
+  // Detached FFmpeg workers - streams keep running while the API process restarts
+  // (Linux/macOS; re-attaching after a restart checks the workers in /proc and so needs Linux)
+  workers: {
+    detached: cleanEnv(process.env.FFMPEG_DETACHED_WORKERS) === 'true',
+    // Control sockets carry raw FFmpeg output (source URLs included) - private to this user (0700)
+    dir: cleanEnv(process.env.FFMPEG_WORKER_DIR) || path.join(__dirname, 'run', 'stream-workers'),
+    lingerMs: parseInt(cleanEnv(process.env.FFMPEG_WORKER_LINGER_MS)) || 600000 // ms an exited worker waits for the API to collect its exit
+  },
+
+  // Stream supervisor - the only component that (re)starts streams
+  supervisor: {
+    interval: parseInt(cleanEnv(process.env.SUPERVISOR_INTERVAL_MS)) || 5000
+  },
+
+  // Stall watchdog - restarts FFmpeg processes that are alive but no longer produce frames
+  watchdog: {
+    enabled: cleanEnv(process.env.WATCHDOG_ENABLED) !== 'false',
+    stallTimeout: parseInt(cleanEnv(process.env.STALL_TIMEOUT_MS)) || 20000, // ms without new frames
+    startupGrace: parseInt(cleanEnv(process.env.STALL_STARTUP_GRACE_MS)) || 30000, // ms before the first frame is expected
+    interval: parseInt(cleanEnv(process.env.WATCHDOG_INTERVAL_MS)) || 5000
+  },
+
+  // Load governor - steps lower-priority cameras down to cheaper encodings while the node is overloaded
+  governor: {
+    enabled: cleanEnv(process.env.LOAD_GOVERNOR) === 'true',
+    interval: parseInt(cleanEnv(process.env.GOVERNOR_INTERVAL_MS)) || 15000,
+    highCpu: parseFloat(cleanEnv(process.env.GOVERNOR_CPU_HIGH)) || 85, // host CPU % that counts as pressure
+    lowCpu: parseFloat(cleanEnv(process.env.GOVERNOR_CPU_LOW)) || 60, // host CPU % below which quality is restored
+    minSpeed: parseFloat(cleanEnv(process.env.GOVERNOR_MIN_SPEED)) || 0.95, // FFmpeg speed= below this falls behind the camera
+    pressureChecks: 2, // checks in a row under pressure before one camera is stepped down
+    calmChecks: 4 // calm checks in a row before one camera is stepped back up
+  },
+
+  // CPU and memory of every FFmpeg process, sampled from /proc (Linux)
+  resources: {
+    interval: parseInt(cleanEnv(process.env.RESOURCE_SAMPLE_MS)) || 5000,
+    window: parseInt(cleanEnv(process.env.RESOURCE_WINDOW_MS)) || 60000 // ms of the rolling CPU average
+  },
+
+  // Prometheus metrics on GET /metrics
+  metrics: {
+    enabled: cleanEnv(process.env.METRICS_ENABLED) !== 'false',
+    token: cleanEnv(process.env.METRICS_TOKEN) || '', // bearer token required by /metrics when set
+    // Label cardinality - turn off per-stream series and/or the workspace label on large deployments
+    streamLabels: cleanEnv(process.env.METRICS_STREAM_LABELS) !== 'false',
+    workspaceLabel: cleanEnv(process.env.METRICS_WORKSPACE_LABEL) !== 'false'
+  },
+
+  // Stream events (stalls, video conditions, ...)
+  events: {
+    retentionDays: parseInt(cleanEnv(process.env.EVENT_RETENTION_DAYS)) || 30
+  },
+
+  // Per-stream FFmpeg output kept for GET /api/camera/:id/logs
+  logs: {
+    maxLines: parseInt(cleanEnv(process.env.FFMPEG_LOG_LINES)) || 500,
+    dir: cleanEnv(process.env.FFMPEG_LOG_DIR) || '' // also append to <dir>/<streamName>.log when set
+  },
+
   // FFmpeg
   ffmpeg: {
     path: cleanEnv(process.env.FFMPEG_PATH) || 'ffmpeg',
-    probePath: cleanEnv(process.env.FFPROBE_PATH) || 'ffprobe'
+    probePath: cleanEnv(process.env.FFPROBE_PATH) || 'ffprobe',
+    probeTimeout: parseInt(cleanEnv(process.env.FFPROBE_TIMEOUT_MS)) || 10000 // ms
   }
 };
 
@@ -0,0 +1,71 @@
+/**
+ * Named libx264 encoding profiles
+ * Cameras reference one by name (encodingProfile) and may override single fields (encodingOverrides).
+ *
+ * videoBitrate/maxrate/bufsize use FFmpeg notation ('800k', '2.5M'); bufsize defaults to 2x maxrate.
+ * width/height scale the output (set one to keep the aspect ratio); null keeps the source size.
+ * fps null keeps the source frame rate.
+ */
+module.exports = {
+  // Corridors, storerooms - low motion, bandwidth first
+  low: {
+    videoBitrate: '600k',
+    maxrate: '800k',
+    width: null,
+    height: 360,
+    fps: 15,
+    gop: 30,
+    preset: 'veryfast',
+    profile: 'baseline',
+    level: '3.0'
+  },
+  // 720p general purpose
+  medium: {
+    videoBitrate: '1.2M',
+    maxrate: '1.5M',
+    width: null,
+    height: 720,
+    fps: 20,
+    gop: 40,
+    preset: 'veryfast',
+    profile: 'main',
+    level: '3.1'
+  },
+  // Original behaviour: source resolution and frame rate at 2.5 Mbps
+  standard: {
+    videoBitrate: '2.5M',
+    maxrate: '2.5M',
+    bufsize: '5M',
+    width: null,
+    height: null,
+    fps: null,
+    gop: 30,
+    preset: 'veryfast',
+    profile: 'baseline',
+    level: '3.1'
+  },
+  // 1080p entrances and gates
+  high: {
+    videoBitrate: '4M',
+    maxrate: '5M',
+    width: null,
+    height: 1080,
+    fps: 25,
+    gop: 50,
+    preset: 'veryfast',
+    profile: 'main',
+    level: '4.0'
+  },
+  // 4K cameras where detail matters
+  uhd: {
+    videoBitrate: '12M',
+    maxrate: '15M',
+    width: null,
+    height: 2160,
+    fps: 25,
+    gop: 50,
+    preset: 'veryfast',
+    profile: 'high',
+    level: '5.1'
+  }
+};
@@ -2,10 +2,15 @@ module.exports = {
   apps: [{
     name: 'thabir-streaming',
     script: './server.js',
+    // Several instances (or hosts) share the cameras through leases; on one host use
+    // exec_mode: 'cluster' so they share the port, each gets NODE_ID <hostname>-<instance>
     instances: 1,
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
+    // The server stops its own FFmpeg processes on shutdown; detached stream workers
+    // (FFMPEG_DETACHED_WORKERS=true) must survive a pm2 restart
+    treekill: false,
     env: {
       NODE_ENV: 'production',
       PORT: 9001
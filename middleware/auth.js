@@ -0,0 +1,165 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const ADMIN_ROLE = 'admin';
+// Audience of the signed playlist tokens - never accepted as a bearer token and vice versa
+const PLAYLIST_AUDIENCE = 'hls-playlist';
+
+/**
+ * Collect workspace IDs from the token payload.
+ * Accepts workspaceIds (array), workspaces (array of IDs or { id } objects) or a single workspaceId.
+ */
+function extractWorkspaceIds(payload) {
+  const raw = payload.workspaceIds || payload.workspaces ||
+    (payload.workspaceId ? [payload.workspaceId] : []);
+
+  if (!Array.isArray(raw)) {
+    return [String(raw)];
+  }
+
+  return raw
+    .map(entry => (entry && typeof entry === 'object' ? entry.id : entry))
+    .filter(entry => entry !== undefined && entry !== null && entry !== '')
+    .map(String);
+}
+
+/**
+ * Verify the bearer token and attach the caller to req.user
+ * req.user = { id, role, isAdmin, workspaceIds }
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwtSecret, { algorithms: ['HS256'] });
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token',
+      error: error.message
+    });
+  }
+
+  if (payload.aud === PLAYLIST_AUDIENCE) {
+    return res.status(401).json({
+      success: false,
+      message: 'Playlist tokens are only valid as ?token= on the master playlist'
+    });
+  }
+
+  const role = payload.role || 'user';
+  const workspaceIds = extractWorkspaceIds(payload);
+  const isAdmin = role === ADMIN_ROLE;
+
+  if (!isAdmin && workspaceIds.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Token is not scoped to any workspace'
+    });
+  }
+
+  req.user = {
+    id: payload.sub || payload.user_id || payload.userId || null,
+    role,
+    isAdmin,
+    workspaceIds
+  };
+
+  next();
+}
+
+/**
+ * Sign a short-lived token granting read access to one camera's master playlist
+ * Native HLS players (Safari, iOS, smart TVs) cannot send an Authorization header, so the
+ * token travels in the query string - it grants nothing else and expires after config.playlistTokenTtl.
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+function signPlaylistToken(cameraId) {
+  const token = jwt.sign({ sub: String(cameraId) }, config.jwtSecret, {
+    algorithm: 'HS256',
+    audience: PLAYLIST_AUDIENCE,
+    expiresIn: config.playlistTokenTtl
+  });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+}
+
+/**
+ * Authenticate GET /:id/master.m3u8: a playlist token for this camera in ?token=, else the bearer token
+ * Sets req.playlistCameraId when the playlist token was used (req.user is then not set).
+ */
+function authenticatePlaylist(req, res, next) {
+  const { token } = req.query;
+  if (!token) {
+    return authenticate(req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(String(token), config.jwtSecret, { algorithms: ['HS256'], audience: PLAYLIST_AUDIENCE });
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired playlist token',
+      error: error.message
+    });
+  }
+
+  if (payload.sub !== req.params.id) {
+    return res.status(401).json({
+      success: false,
+      message: 'Playlist token was issued for another camera'
+    });
+  }
+
+  req.playlistCameraId = payload.sub;
+  next();
+}
+
+/**
+ * Check whether the caller may access cameras in the given workspace
+ */
+function canAccessWorkspace(user, workspaceId) {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+  return user.workspaceIds.includes(String(workspaceId));
+}
+
+/**
+ * Mongo filter limiting a Camera query to the caller's workspaces
+ * Admins get an empty filter (all workspaces)
+ */
+function workspaceScope(user) {
+  if (user && user.isAdmin) return {};
+  return { workspaceId: { $in: user ? user.workspaceIds : [] } };
+}
+
+/**
+ * Check that the configured JWT secret is safe to run with.
+ * Refuses the default placeholder secret in production.
+ */
+function assertJwtSecretConfigured() {
+  if (config.nodeEnv === 'production' && config.jwtSecret === config.defaultJwtSecret) {
+    throw new Error('JWT_SECRET must be set in production (default secret refused)');
+  }
+  if (config.jwtSecret === config.defaultJwtSecret) {
+    console.warn('[Auth] ⚠️ Using default JWT secret - set JWT_SECRET before deploying');
+  }
+}
+
+module.exports = {
+  authenticate,
+  authenticatePlaylist,
+  signPlaylistToken,
+  canAccessWorkspace,
+  workspaceScope,
+  assertJwtSecretConfigured
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const streamEventSchema = new mongoose.Schema({
+  streamName: {
+    type: String,
+    required: true
+  },
+  cameraId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  workspaceId: {
+    type: String,
+    default: ''
+  },
+  // stalled, video_frozen, video_black, circuit_open, circuit_closed, orphan_killed, failover,
+  // quality_reduced, quality_restored
+  type: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Conditions with a duration (video_frozen, video_black); endedAt stays null while active
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+streamEventSchema.index({ streamName: 1, createdAt: -1 });
+streamEventSchema.index({ workspaceId: 1, type: 1, createdAt: -1 });
+// Old events expire automatically
+streamEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.events.retentionDays * 24 * 60 * 60 });
+
+/**
+ * Record an event for a stream
+ * Camera and workspace are looked up by streamName when not given. Never throws.
+ * @param {Object} event - { streamName, type, message, details, cameraId?, workspaceId? }
+ */
+streamEventSchema.statics.record = async function(event) {
+  try {
+    let { cameraId, workspaceId } = event;
+
+    if (!cameraId || !workspaceId) {
+      const Camera = mongoose.model('Camera');
+      const camera = await Camera.findOne({ streamName: event.streamName }, { workspaceId: 1 });
+      if (camera) {
+        cameraId = cameraId || camera._id;
+        workspaceId = workspaceId || camera.workspaceId;
+      }
+    }
+
+    return await this.create({ ...event, cameraId: cameraId || null, workspaceId: workspaceId || '' });
+  } catch (error) {
+    console.error(`[Events] ❌ Failed to record ${event.type} for ${event.streamName}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Close a condition event opened with record()
+ * Never throws.
+ */
+streamEventSchema.statics.close = async function(eventId, endedAt, details = {}) {
+  try {
+    const update = { endedAt };
+    for (const [key, value] of Object.entries(details)) {
+      update[`details.${key}`] = value;
+    }
+    await this.updateOne({ _id: eventId }, { $set: update });
+  } catch (error) {
+    console.error(`[Events] ❌ Failed to close event ${eventId}:`, error.message);
+  }
+};
+
+module.exports = mongoose.model('StreamEvent', streamEventSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { STATES } = require('../utils/streamStates');
+
+// One document per lifecycle state change of a stream (see services/StreamStateMachine.js)
+const streamStateTransitionSchema = new mongoose.Schema({
+  streamName: {
+    type: String,
+    required: true
+  },
+  cameraId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  workspaceId: {
+    type: String,
+    default: ''
+  },
+  from: {
+    type: String,
+    enum: STATES,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: STATES,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+streamStateTransitionSchema.index({ streamName: 1, createdAt: -1 });
+// History expires with the stream events
+streamStateTransitionSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.events.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('StreamStateTransition', streamStateTransitionSchema);
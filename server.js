@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -8,6 +9,15 @@ const config = require('./config');
 const cameraRoutes = require('./routes/camera');
 const streamMonitor = require('./services/StreamMonitor');
 const ffmpegManager = require('./services/FFmpegManager');
+const streamStateMachine = require('./services/StreamStateMachine');
+const orphanReaper = require('./services/OrphanReaper');
+const leaseManager = require('./services/LeaseManager');
+const capacityManager = require('./services/CapacityManager');
+const loadGovernor = require('./services/LoadGovernor');
+const metrics = require('./services/Metrics');
+const Camera = require('./models/Camera');
+const { assertJwtSecretConfigured } = require('./middleware/auth');
+const { assertEncryptionKeyConfigured } = require('./utils/credentials');
 
 const app = express();
 
@@ -22,6 +32,11 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request latency per route for GET /metrics
+if (config.metrics.enabled) {
+  app.use(metrics.httpMiddleware());
+}
+
 // Swagger Documentation
 const swaggerOptions = {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -41,6 +56,7 @@ app.get('/', (req, res) => {
     baseUrl: config.baseUrl,
     documentation: `${config.baseUrl}/api-docs`,
     health: `${config.baseUrl}/health`,
+    metrics: config.metrics.enabled ? `${config.baseUrl}/metrics` : null,
     api: {
       addCamera: `${config.baseUrl}/api/camera/add`,
       listCameras: `${config.baseUrl}/api/camera/list`
@@ -55,6 +71,7 @@ app.get('/', (req, res) => {
  *     summary: Health check endpoint
  *     description: Check server health and get active stream count
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Server is healthy
@@ -72,6 +89,22 @@ app.get('/', (req, res) => {
  *                 activeStreams:
  *                   type: integer
  *                   example: 3
+ *                 node:
+ *                   type: object
+ *                   description: This streaming node, the cameras leased to it and its load
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: stream-node-1
+ *                     leasedCameras:
+ *                       type: integer
+ *                       example: 3
+ *                     capacity:
+ *                       $ref: '#/components/schemas/Capacity'
+ *                     resources:
+ *                       $ref: '#/components/schemas/NodeResources'
+ *                     governor:
+ *                       $ref: '#/components/schemas/GovernorStatus'
  */
 app.get('/health', (req, res) => {
   const activeStreams = ffmpegManager.getActiveStreams();
@@ -80,10 +113,77 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     activeStreams: activeStreams.length,
     streams: activeStreams,
-    monitoring: streamMonitor.isRunning
+    monitoring: streamMonitor.isRunning,
+    node: {
+      id: leaseManager.nodeId,
+      leasedCameras: leaseManager.owned.size,
+      capacity: capacityManager.getStatus(),
+      resources: ffmpegManager.getResourceTotals(),
+      governor: loadGovernor.getStatus()
+    }
   });
 });
 
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Prometheus text format. Cameras by state and workspace, FFmpeg exits by reason, supervisor restarts by trigger,
+ *       per-stream uptime, fps, bitrate and speed, monitor check duration, MediaMTX verification failures and HTTP
+ *       latency per route. Set METRICS_STREAM_LABELS=false and/or METRICS_WORKSPACE_LABEL=false to limit label
+ *       cardinality on large deployments. Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set;
+ *       disabled with METRICS_ENABLED=false.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP thabir_stream_fps Output frame rate reported by FFmpeg
+ *                 # TYPE thabir_stream_fps gauge
+ *                 thabir_stream_fps{workspace="ws_1",stream="cam_1704123456789_1234"} 25
+ *       401:
+ *         description: Missing or wrong metrics token
+ */
+if (config.metrics.enabled) {
+  app.get('/metrics', async (req, res) => {
+    if (config.metrics.token && !hasMetricsToken(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Valid metrics token required'
+      });
+    }
+
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      console.error('[Metrics] ❌ Error rendering metrics:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render metrics',
+        error: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Whether the request carries METRICS_TOKEN as its bearer token
+ */
+function hasMetricsToken(req) {
+  const header = req.headers.authorization || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(config.metrics.token);
+  return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
 app.use('/api/camera', cameraRoutes);
 
 // Error handling middleware
@@ -108,6 +208,16 @@ app.use((req, res) => {
 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 console.log('🚀 THABIR STREAMING SERVER STARTING...');
 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+// Refuse to start with an insecure JWT secret or credential key
+try {
+  assertJwtSecretConfigured();
+  assertEncryptionKeyConfigured();
+} catch (error) {
+  console.error('[Security] ❌', error.message);
+  process.exit(1);
+}
+
 console.log('[MongoDB] Attempting to connect...');
 console.log('[MongoDB] MONGODB_URI:', process.env.MONGODB_URI ? '✅ SET' : '❌ NOT SET');
 
@@ -127,12 +237,35 @@ mongoose.connect(config.mongodbUri, {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`🌐 Host: ${host}:${config.port}`);
     console.log(`📦 Environment: ${config.nodeEnv}`);
+    console.log(`🏷️ Node: ${config.cluster.nodeId}`);
+    console.log(`🧮 Capacity: ${config.capacity.maxStreams || 'unlimited'} streams, CPU budget ${config.capacity.cpuBudget || 'unlimited'}, ${config.capacity.startConcurrency} concurrent starts`);
     console.log(`📹 MediaMTX: ${config.mediamtx.host}:${config.mediamtx.rtspPort}`);
     console.log(`📚 API Docs: ${config.baseUrl}/api-docs`);
     console.log(`💚 Health: ${config.baseUrl}/health`);
+    if (config.metrics.enabled) {
+      console.log(`📈 Metrics: ${config.baseUrl}/metrics${config.metrics.token ? ' (token required)' : ''}`);
+    }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     
     try {
+      // Encrypt any credentials stored in plain text by older versions
+      const migrated = await Camera.encryptLegacyCredentials();
+      if (migrated > 0) {
+        console.log(`[Server] 🔐 Encrypted credentials for ${migrated} camera(s)`);
+      }
+
+      // Lifecycle states left over from the previous run
+      await streamStateMachine.initialize();
+
+      // Streams kept running by detached workers while the API was down
+      const adopted = await ffmpegManager.adoptWorkers();
+      if (adopted > 0) {
+        console.log(`[Server] 🔗 Re-attached to ${adopted} running stream(s)`);
+      }
+
+      // FFmpeg processes that outlived a crash would collide with the restored ones
+      await orphanReaper.reconcile();
+
       // CRITICAL: Restore all active streams on startup
       console.log('[Server] 🔄 Initiating stream restoration...\n');
       await streamMonitor.restoreStreams();
@@ -145,7 +278,7 @@ mongoose.connect(config.mongodbUri, {
       console.log('✅ ALL SYSTEMS READY - 24/7 STREAMING ENABLED');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('📺 Active cameras will stream continuously');
-      console.log('🔄 Auto-restart every 15 seconds if streams stop');
+      console.log('🔄 Failed streams restart with backoff, repeated failures are parked');
       console.log('🔌 Streams restore automatically on server restart');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     } catch (error) {
@@ -183,22 +316,20 @@ async function gracefulShutdown(signal) {
     console.log('[Shutdown] 🛑 Stopping stream monitor...');
     streamMonitor.stop();
 
-    // Stop all video streams - this will stop FFmpeg processes
+    // Stop all video streams - this will stop FFmpeg processes (detached workers keep running)
     console.log('[Shutdown] 🛑 Stopping all video streams...');
-    await ffmpegManager.stopAll();
-
-    // Update database - mark all cameras as not streaming
-    console.log('[Shutdown] 📝 Updating database - marking all streams as stopped...');
-    const Camera = require('./models/Camera');
-    await Camera.updateMany(
-      { streaming: true },
-      { 
-        streaming: false,
-        processId: null,
-        lastChecked: Date.now()
-      }
-    );
-    console.log('[Shutdown] ✅ Database updated - all streams marked as stopped');
+    const streamsKept = await ffmpegManager.shutdown();
+
+    if (!streamsKept) {
+      // Update database - mark this node's cameras as not streaming (other nodes keep theirs)
+      console.log('[Shutdown] 📝 Updating database - marking this node\'s streams as stopped...');
+      const stopped = await leaseManager.markStopped();
+      console.log(`[Shutdown] ✅ Database updated - ${stopped} stream(s) marked as stopped`);
+
+      // Let other nodes take the cameras over now instead of after the lease expires
+      const released = await leaseManager.releaseAll();
+      console.log(`[Shutdown] 🔓 Released ${released} camera lease(s)`);
+    }
 
     // Close MongoDB connection
     console.log('[Shutdown] 🔌 Closing MongoDB connection...');
@@ -207,7 +338,9 @@ async function gracefulShutdown(signal) {
 
     console.log('\n[Shutdown] ════════════════════════════════════════════════════');
     console.log('[Shutdown] ✅ GRACEFUL SHUTDOWN COMPLETE');
-    console.log('[Shutdown] ✅ All video streams stopped on all devices');
+    console.log(streamsKept
+      ? '[Shutdown] ✅ Video streams left running under detached workers'
+      : '[Shutdown] ✅ All video streams stopped on all devices');
     console.log('[Shutdown] ════════════════════════════════════════════════════\n');
     
     process.exit(0);
@@ -0,0 +1,203 @@
+const config = require('../config');
+const { resolveVideoMode } = require('../utils/encoding');
+
+// Cost units of the CPU budget: 1 = one libx264 transcode of 1080p at 25 fps
+const REFERENCE_PIXEL_RATE = 1920 * 1080 * 25;
+const PASSTHROUGH_COST = 0.1;
+const ANALYSIS_COST = 0.2; // frozen/black frame detection decodes the video
+const MIN_ENCODE_COST = 0.1;
+
+/**
+ * Admission control of the streams run by this node
+ * Every stream holds a reservation (its estimated CPU cost) from admission until its process is gone.
+ * Admission is refused when config.capacity.maxStreams or cpuBudget would be exceeded; admitted
+ * streams wait in FIFO order for one of config.capacity.startConcurrency start slots, which are
+ * held until the stream is ready or has failed.
+ */
+class CapacityManager {
+  constructor() {
+    this.reservations = new Map(); // streamName -> estimated cost
+    this.starting = new Set(); // streamNames holding a start slot
+    this.queue = []; // [{ streamName, resolve, reject }] waiting for a start slot
+  }
+
+  /**
+   * Estimated CPU cost of a stream
+   * @param {Object} options - Stream options (see Camera#getStreamOptions); videoMode may already be resolved
+   * @param {Object} [sourceInfo] - Probe result; auto mode without one is counted as a transcode
+   * @returns {number}
+   */
+  estimateCost(options = {}, sourceInfo = null) {
+    const videoMode = resolveVideoMode(options.videoMode || config.encoding.defaultVideoMode, sourceInfo);
+    let cost = videoMode === 'copy' ? PASSTHROUGH_COST : encodeCost(options.encoding || {}, sourceInfo);
+
+    for (const rendition of options.renditions || []) {
+      cost += encodeCost(rendition, sourceInfo);
+    }
+    if (options.analysis) {
+      cost += ANALYSIS_COST;
+    }
+    return Math.round(cost * 100) / 100;
+  }
+
+  /**
+   * Whether one more stream of this cost fits (a node always runs at least one stream)
+   */
+  hasRoom(cost) {
+    if (this.reservations.size === 0) return true;
+    const { maxStreams, cpuBudget } = config.capacity;
+    if (maxStreams && this.reservations.size >= maxStreams) return false;
+    return !cpuBudget || this.getLoad() + cost <= cpuBudget;
+  }
+
+  /**
+   * Reserve capacity for a stream and queue it for a start slot
+   * @param {string} streamName
+   * @param {number} cost - From estimateCost
+   * @returns {Object} { position, slot } - position 0 when a slot was free, slot resolves once the stream may start
+   *   (rejects with code START_CANCELLED when the stream is stopped while queued)
+   * @throws {Error} code NO_CAPACITY (with error.capacity) when the node is full
+   */
+  admit(streamName, cost) {
+    if (!this.reservations.has(streamName) && !this.hasRoom(cost)) {
+      const error = new Error(`Node at capacity (${this.describeLoad()})`);
+      error.code = 'NO_CAPACITY';
+      error.capacity = this.getStatus();
+      throw error;
+    }
+    this.reservations.set(streamName, cost);
+
+    if (this.starting.size < config.capacity.startConcurrency) {
+      this.starting.add(streamName);
+      return { position: 0, slot: Promise.resolve() };
+    }
+
+    let entry;
+    const slot = new Promise((resolve, reject) => {
+      entry = { streamName, resolve, reject };
+    });
+    this.queue.push(entry);
+    return { position: this.queue.length, slot };
+  }
+
+  /**
+   * Reserve capacity for a stream that is already running (re-attached worker) - never refused
+   */
+  reserve(streamName, cost) {
+    this.reservations.set(streamName, cost);
+  }
+
+  /**
+   * Correct the estimate once the source was probed
+   */
+  updateCost(streamName, cost) {
+    if (this.reservations.has(streamName)) {
+      this.reservations.set(streamName, cost);
+    }
+  }
+
+  /**
+   * The stream became ready or failed - hand its start slot to the next in line
+   */
+  startFinished(streamName) {
+    if (this.starting.delete(streamName)) {
+      this.next();
+    }
+  }
+
+  /**
+   * The stream's process is gone (stopped, exited or never spawned) - free everything it held
+   */
+  release(streamName) {
+    this.reservations.delete(streamName);
+    this.starting.delete(streamName);
+
+    const index = this.queue.findIndex(entry => entry.streamName === streamName);
+    if (index !== -1) {
+      const [entry] = this.queue.splice(index, 1);
+      const error = new Error('Start cancelled while waiting for a start slot');
+      error.code = 'START_CANCELLED';
+      entry.reject(error);
+    }
+    this.next();
+  }
+
+  next() {
+    while (this.queue.length > 0 && this.starting.size < config.capacity.startConcurrency) {
+      const entry = this.queue.shift();
+      this.starting.add(entry.streamName);
+      entry.resolve();
+    }
+  }
+
+  /**
+   * Whether the stream was admitted (queued, starting or running)
+   */
+  isAdmitted(streamName) {
+    return this.reservations.has(streamName);
+  }
+
+  /**
+   * 1-based position of the stream in the start queue, 0 when it is not waiting
+   */
+  getQueuePosition(streamName) {
+    return this.queue.findIndex(entry => entry.streamName === streamName) + 1;
+  }
+
+  /**
+   * Sum of the estimated costs of the admitted streams
+   */
+  getLoad() {
+    let load = 0;
+    for (const cost of this.reservations.values()) {
+      load += cost;
+    }
+    return Math.round(load * 100) / 100;
+  }
+
+  /**
+   * Current load and limits (for /health and refusals)
+   */
+  getStatus() {
+    const { maxStreams, cpuBudget, startConcurrency } = config.capacity;
+    const streams = this.reservations.size;
+    const cpuLoad = this.getLoad();
+    return {
+      streams,
+      maxStreams: maxStreams || null,
+      cpuLoad,
+      cpuBudget: cpuBudget || null,
+      starting: this.starting.size,
+      startConcurrency,
+      queued: this.queue.length,
+      full: (!!maxStreams && streams >= maxStreams) || (!!cpuBudget && cpuLoad >= cpuBudget)
+    };
+  }
+
+  describeLoad() {
+    const { maxStreams, cpuBudget } = config.capacity;
+    const parts = [`${this.reservations.size}${maxStreams ? `/${maxStreams}` : ''} streams`];
+    if (cpuBudget) {
+      parts.push(`CPU ${this.getLoad()}/${cpuBudget}`);
+    }
+    return parts.join(', ');
+  }
+}
+
+/**
+ * Estimated cost of one libx264 encode, from its output size and frame rate
+ * Sizes and rates the profile keeps from the source come from the probe (1080p25 when unknown).
+ */
+function encodeCost(profile, sourceInfo) {
+  const source = sourceInfo || {};
+  const height = profile.height || (profile.width && source.width && source.height
+    ? Math.round(profile.width * source.height / source.width)
+    : source.height) || 1080;
+  const width = profile.width || (source.width && source.height
+    ? Math.round(height * source.width / source.height)
+    : Math.round(height * 16 / 9));
+  const fps = profile.fps || source.frameRate || 25;
+  return Math.max((width * height * fps) / REFERENCE_PIXEL_RATE, MIN_ENCODE_COST);
+}
+
+module.exports = new CapacityManager();
@@ -1,25 +1,76 @@
 const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const os = require('os');
 const http = require('http');
 const https = require('https');
 const config = require('../config');
 const Camera = require('../models/Camera');
+const StreamEvent = require('../models/StreamEvent');
+const { redactUrl, redactText } = require('../utils/credentials');
+const procfs = require('../utils/procfs');
+const sourceProber = require('./SourceProber');
+const streamLogStore = require('./StreamLogStore');
+const streamStateMachine = require('./StreamStateMachine');
+const streamWorkers = require('./StreamWorkers');
+const leaseManager = require('./LeaseManager');
+const capacityManager = require('./CapacityManager');
+const metrics = require('./Metrics');
+const { createMetrics, createProgressParser } = require('../utils/ffmpegProgress');
+const { createResourceUsage, applyResourceSample, summarizeResourceUsage } = require('../utils/resourceUsage');
+const { classifyExit } = require('../utils/exitReasons');
+const { ANALYSIS_FD, CONDITIONS, buildAnalysisArgs, createAnalysisParser } = require('../utils/videoAnalysis');
+const {
+  DEFAULT_VIDEO_MODE,
+  resolveEncodingProfile,
+  resolveVideoMode,
+  resolveAudioCodec,
+  buildVideoEncodeArgs,
+  buildAudioArgs
+} = require('../utils/encoding');
 
-class FFmpegManager {
+/**
+ * Runs one FFmpeg process per stream
+ * Restarts are not handled here: 'streamExit' (streamName, { failure, wasReady }),
+ * 'streamReady' (streamName) and 'streamDeferred' (streamName, capacity) - a start refused because
+ * the node is full - are emitted for services/StreamSupervisor.js.
+ * Starts go through services/CapacityManager.js: refused when the node is full, queued for a start slot otherwise.
+ * Per-stream gauges for GET /metrics are collected from the running processes (see services/Metrics.js).
+ */
+class FFmpegManager extends EventEmitter {
   constructor() {
+    super();
     this.processes = new Map(); // Map<streamName, process>
     this.isShuttingDown = false;
+    this.resourceTimer = null;
+
+    metrics.addCollector(() => this.collectMetrics());
   }
 
   /**
    * Start streaming an RTSP source to MediaMTX
-   * @param {string} rtspSource - Source RTSP URL
+   * @param {string} rtspSource - Source RTSP URL (with credentials, never logged as-is)
    * @param {string} streamName - Unique stream name for MediaMTX
+   * @param {Object} [options] - Stream options (see Camera#getStreamOptions)
+   * @param {Object} [options.encoding] - Resolved encoding profile, defaults to the configured default profile
+   * @param {string} [options.videoMode] - transcode, copy or auto, defaults to the configured default mode
+   * @param {Object} [options.audio] - Audio settings { enabled, codec, bitrate }, audio is dropped when disabled
+   * @param {Object[]} [options.renditions] - Extra ABR rendition profiles, each published as <streamName>_<profile>
+   * @param {Object} [options.analysis] - Frozen/black frame detection { freezeSeconds, blackSeconds }, off when missing
+   * @param {Object} [options.sourceInfo] - Fresh probe result; auto modes probe the source when missing
+   * @param {string} [options.workspaceId] - Workspace of the camera (metrics label)
+   * @param {Function} [options.onQueued] - Called with the queue position when the start has to wait for a slot
    * @returns {Promise<string>} Public HTTP URL for the stream
+   * @throws {Error} code NO_CAPACITY when the node is full, START_CANCELLED when stopped while queued
    */
-  async startStream(rtspSource, streamName) {
+  async startStream(rtspSource, streamName, options = {}) {
     // Check if stream already running
     if (this.processes.has(streamName)) {
       const processInfo = this.processes.get(streamName);
+      // A detached worker reports the FFmpeg PID shortly after it starts
+      if (!processInfo.process.pid && processInfo.process.exitCode === null) {
+        console.log(`[FFmpeg] Stream ${streamName} is already starting`);
+        return this.getPublicUrl(streamName);
+      }
       // Verify process is actually alive
       try {
         if (processInfo.process.pid) {
@@ -31,341 +82,638 @@ class FFmpegManager {
         // Process died, remove from map and continue to restart
         console.log(`[FFmpeg] Stream ${streamName} process dead, removing from map`);
         this.processes.delete(streamName);
+        capacityManager.release(streamName);
       }
+    } else if (capacityManager.isAdmitted(streamName)) {
+      console.log(`[FFmpeg] Stream ${streamName} is already queued or starting`);
+      return this.getPublicUrl(streamName);
     }
 
     const pushTarget = `${config.mediamtx.getPushBase()}/${streamName}`;
     const publicUrl = `${config.mediamtx.getPublicBase()}/${streamName}`;
+    const encoding = options.encoding || resolveEncodingProfile();
+    const configuredVideoMode = options.videoMode || DEFAULT_VIDEO_MODE;
+
+    await this.waitForStartSlot(streamName, { ...options, encoding, videoMode: configuredVideoMode });
+    streamStateMachine.transition(streamName, 'starting', 'stream starting');
+
+    let start;
+    try {
+      start = await this.prepareStart(rtspSource, streamName, options, { encoding, configuredVideoMode, pushTarget });
+    } catch (error) {
+      // Stopped while probing - stopStream already gave the slot back
+      if (error.code === 'START_CANCELLED') throw error;
+      // Admitted but never spawned - hand back the reservation and the start slot
+      capacityManager.release(streamName);
+      streamStateMachine.transition(streamName, 'failed', `start failed: ${error.message}`);
+      throw error;
+    }
+    const { ffmpegArgs, details } = start;
+
+    return new Promise((resolve, reject) => {
+      let ffmpegProcess;
+      try {
+        ffmpegProcess = this.spawnProcess(streamName, ffmpegArgs, details);
+      } catch (error) {
+        capacityManager.release(streamName);
+        streamStateMachine.transition(streamName, 'failed', `spawn failed: ${error.message}`);
+        reject(error);
+        return;
+      }
+
+      const processInfo = this.createProcessInfo(ffmpegProcess, streamName, details);
+      this.processes.set(streamName, processInfo);
+
+      let resolvePromiseCalled = false;
+
+      this.watchProcess(processInfo, {
+        // Resolve as soon as the process runs - readiness is tracked separately (see waitForReady)
+        onSpawn: () => {
+          console.log(`[FFmpeg ${streamName}] ✅ Started with PID ${ffmpegProcess.pid}`);
+          console.log(`[FFmpeg ${streamName}] 🌐 Public URL: ${publicUrl}`);
+          console.log(`[FFmpeg ${streamName}] ⏳ Waiting for output, first frames${config.mediamtx.apiUrl ? ' and MediaMTX' : ''}...`);
+          if (!resolvePromiseCalled) {
+            resolvePromiseCalled = true;
+            resolve(publicUrl);
+          }
+        },
+        onError: (error) => {
+          if (!resolvePromiseCalled) {
+            resolvePromiseCalled = true;
+            reject(error);
+          }
+        }
+      });
+      // The start slot is held until the stream is ready or has failed
+      processInfo.ready.then(() => {
+        if (this.processes.get(streamName) === processInfo) {
+          capacityManager.startFinished(streamName);
+        }
+      });
+    });
+  }
+
+  /**
+   * Probe the source when needed and build the FFmpeg arguments of an admitted stream
+   * @returns {Promise<Object>} { ffmpegArgs, details }
+   */
+  async prepareStart(rtspSource, streamName, options, { encoding, configuredVideoMode, pushTarget }) {
+    // Passthrough: skip re-encoding when the source is already browser-compatible
+    const audio = options.audio;
+    const needsProbe = configuredVideoMode === 'auto' || (audio && audio.enabled && audio.codec === 'auto');
+    let sourceInfo = options.sourceInfo;
+    if (needsProbe && !sourceInfo) {
+      console.log(`[FFmpeg ${streamName}] 🔍 Probing source to choose codecs...`);
+      sourceInfo = await sourceProber.probe(rtspSource);
+      // Stopped while probing
+      if (!capacityManager.isAdmitted(streamName)) {
+        const error = new Error('Start cancelled while probing the source');
+        error.code = 'START_CANCELLED';
+        throw error;
+      }
+    }
+    const videoMode = resolveVideoMode(configuredVideoMode, sourceInfo);
+    capacityManager.updateCost(streamName, capacityManager.estimateCost({ ...options, encoding, videoMode }, sourceInfo));
+    const videoArgs = videoMode === 'copy' ? ['-c:v', 'copy'] : buildVideoEncodeArgs(encoding);
+
+    // Audio is opt-in: without it only the video stream is requested from the camera
+    const audioCodec = resolveAudioCodec(audio, sourceInfo);
+    const inputArgs = audioCodec ? [] : ['-allowed_media_types', 'video'];
+    const audioArgs = audioCodec ? buildAudioArgs(audioCodec, audio.bitrate) : [];
+
+    // ABR ladder: the same process publishes lower renditions as sibling MediaMTX paths
+    const renditions = (options.renditions || []).map(profile => ({
+      name: profile.name,
+      path: this.getRenditionPath(streamName, profile.name),
+      encoding: profile
+    }));
+    const renditionArgs = [];
+    for (const rendition of renditions) {
+      renditionArgs.push(
+        '-map', '0:v:0',
+        ...buildVideoEncodeArgs(rendition.encoding),
+        ...audioArgs,
+        ...this.buildPublishArgs(`${config.mediamtx.getPushBase()}/${rendition.path}`)
+      );
+    }
+
+    // Optional side output watching for frozen or black video
+    const analysis = options.analysis || null;
+    const analysisArgs = analysis ? buildAnalysisArgs(analysis) : [];
 
     const ffmpegArgs = [
       '-hide_banner',
       '-loglevel', 'warning',
+      '-nostats',
+      '-progress', 'pipe:1', // machine-readable progress on stdout (see utils/ffmpegProgress)
       '-rtsp_transport', 'tcp',
       '-rtsp_flags', 'prefer_tcp',
       '-fflags', '+genpts+nobuffer',
       '-use_wallclock_as_timestamps', '1',
-      '-allowed_media_types', 'video',
+      ...inputArgs,
       '-i', rtspSource,
       '-map', '0:v:0',
-      '-c:v', 'libx264',
-      '-preset', 'veryfast',
-      '-tune', 'zerolatency',
-      '-profile:v', 'baseline',
-      '-level', '3.1',
-      '-pix_fmt', 'yuv420p',
-      '-g', '30',
-      '-keyint_min', '30',
-      '-x264-params', 'scenecut=0:sync-lookahead=0:sliced-threads=1',
-      '-b:v', '2.5M',
-      '-maxrate', '2.5M',
-      '-bufsize', '5M',
-      '-f', 'rtsp',
-      '-rtsp_transport', 'tcp',
-      '-rtsp_flags', 'prefer_tcp',
-      '-muxdelay', '0',
-      '-strict', 'experimental',
-      pushTarget
+      ...videoArgs,
+      ...audioArgs,
+      ...this.buildPublishArgs(pushTarget),
+      ...renditionArgs,
+      ...analysisArgs
     ];
 
-    return new Promise((resolve, reject) => {
-      console.log(`[FFmpeg ${streamName}] 🚀 Starting stream process...`);
-      console.log(`[FFmpeg ${streamName}] 📹 Source: ${rtspSource}`);
-      console.log(`[FFmpeg ${streamName}] 📤 Push to: ${pushTarget}`);
-      
-      const ffmpegProcess = spawn(config.ffmpeg.path, ffmpegArgs, {
-        stdio: ['ignore', 'pipe', 'pipe'],
-        windowsHide: true
+    console.log(`[FFmpeg ${streamName}] 🚀 Starting stream process...`);
+    console.log(`[FFmpeg ${streamName}] 📹 Source: ${redactUrl(rtspSource)}`);
+    console.log(`[FFmpeg ${streamName}] 📤 Push to: ${redactUrl(pushTarget)}`);
+    if (audioCodec) {
+      console.log(`[FFmpeg ${streamName}] 🔊 Audio: ${audioCodec}`);
+    }
+    if (renditions.length > 0) {
+      console.log(`[FFmpeg ${streamName}] 📶 ABR renditions: ${renditions.map(r => r.path).join(', ')}`);
+    }
+    if (videoMode === 'copy') {
+      console.log(`[FFmpeg ${streamName}] 🎛️ Video: passthrough (${configuredVideoMode}, source ${sourceInfo ? sourceInfo.codec : 'unprobed'})`);
+    } else {
+      console.log(`[FFmpeg ${streamName}] 🎛️ Profile: ${encoding.name} (${encoding.videoBitrate}, ${encoding.height ? encoding.height + 'p' : 'source size'}, ${encoding.fps || 'source'} fps)`);
+    }
+    
+    // Stream details kept with the process (and with a detached worker, for re-attaching)
+    const details = {
+      rtspSource: redactUrl(rtspSource),
+      encodingProfile: encoding.name,
+      videoMode,
+      configuredVideoMode,
+      audioCodec,
+      renditions: renditions.map(({ name, path }) => ({ name, path })),
+      workspaceId: options.workspaceId || '',
+      analysisFd: analysis ? ANALYSIS_FD : null // fd 3 carries video analysis metadata when enabled
+    };
+
+    streamLogStore.append(streamName, 'system', `Starting: ${config.ffmpeg.path} ${redactText(ffmpegArgs.join(' '))}`);
+
+    return { ffmpegArgs, details };
+  }
+
+  /**
+   * Admit a stream on this node and wait for its start slot
+   * A refused stream goes to pending_capacity and 'streamDeferred' is emitted.
+   * @param {string} streamName
+   * @param {Object} options - Stream options with the encoding and configured video mode filled in
+   */
+  async waitForStartSlot(streamName, options) {
+    let admission;
+    try {
+      admission = capacityManager.admit(streamName, capacityManager.estimateCost(options, options.sourceInfo));
+    } catch (error) {
+      if (error.code === 'NO_CAPACITY') {
+        console.warn(`[FFmpeg ${streamName}] ⚠️ Not started - ${error.message}`);
+        streamStateMachine.transition(streamName, 'pending_capacity', 'node at capacity', error.capacity);
+        this.emit('streamDeferred', streamName, error.capacity);
+      }
+      throw error;
+    }
+
+    if (admission.position === 0) return;
+
+    console.log(`[FFmpeg ${streamName}] ⏸️ Waiting for a start slot (position ${admission.position} in the queue)`);
+    streamStateMachine.transition(streamName, 'pending_capacity', 'waiting for a start slot', { queuePosition: admission.position });
+    if (options.onQueued) {
+      options.onQueued(admission.position);
+    }
+    await admission.slot;
+  }
+
+  /**
+   * Spawn FFmpeg as a child process, or under a detached worker when enabled
+   */
+  spawnProcess(streamName, ffmpegArgs, details) {
+    if (streamWorkers.isEnabled()) {
+      return streamWorkers.spawn(streamName, ffmpegArgs, {
+        analysisFd: details.analysisFd,
+        meta: { ...details, startTime: Date.now() }
       });
+    }
 
-      // Store process info
-      const processInfo = {
-        process: ffmpegProcess,
-        streamName,
-        rtspSource,
-        startTime: Date.now(),
-        restartCount: 0,
-        isValidated: false
-      };
+    const stdio = ['ignore', 'pipe', 'pipe'];
+    if (details.analysisFd) {
+      stdio[details.analysisFd] = 'pipe';
+    }
+    return spawn(config.ffmpeg.path, ffmpegArgs, {
+      stdio,
+      windowsHide: true
+    });
+  }
 
-      this.processes.set(streamName, processInfo);
+  /**
+   * Bookkeeping of a running FFmpeg process
+   */
+  createProcessInfo(ffmpegProcess, streamName, details, startTime = Date.now()) {
+    return {
+      process: ffmpegProcess,
+      streamName,
+      ...details,
+      metrics: createMetrics(),
+      resources: createResourceUsage(),
+      stalled: false,
+      conditions: this.createConditions(),
+      startTime,
+      isValidated: false,
+      stopRequested: false,
+      logStartSeq: streamLogStore.lastSeq(streamName)
+    };
+  }
 
-      let streamStarted = false;
-      let streamValidated = false;
-      let resolvePromiseCalled = false;
+  /**
+   * Follow a process's output, readiness and exit
+   * @param {Object} processInfo - From createProcessInfo
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onSpawn] - The process is running
+   * @param {Function} [callbacks.onError] - The process could not be started
+   */
+  watchProcess(processInfo, { onSpawn, onError } = {}) {
+    const { streamName } = processInfo;
+    const ffmpegProcess = processInfo.process;
+    let streamStarted = false;
 
-      // Handle stdout
-      ffmpegProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        console.log(`[FFmpeg ${streamName}] ${output.trim()}`);
+    this.createReadiness(processInfo);
+
+    // Handle stdout - progress blocks update processInfo.metrics, anything else is logged
+    const parseProgress = createProgressParser(processInfo.metrics, (line) => {
+      const output = redactText(line);
+      streamLogStore.append(streamName, 'stdout', output);
+      console.log(`[FFmpeg ${streamName}] ${output}`);
+    });
+    ffmpegProcess.stdout.on('data', (chunk) => {
+      parseProgress(chunk);
+      this.checkReadiness(processInfo);
+    });
+
+    // Handle video analysis output
+    if (processInfo.analysisFd) {
+      const parseAnalysis = createAnalysisParser((transition) => {
+        this.handleConditionTransition(processInfo, transition);
       });
+      ffmpegProcess.stdio[processInfo.analysisFd].on('data', parseAnalysis);
+    }
 
-      // Handle stderr
-      ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        
-        // Filter out common HEVC decoder warnings
-        const isHevcWarning = output.includes('[hevc @') && 
-                              (output.includes('Could not find ref') || 
-                               output.includes('Error constructing') ||
-                               output.includes('Skipping invalid'));
-        
-        // Check for stream ready indicators
-        if (output.includes('Stream #0') || output.includes('Output #0') || 
-            output.includes('frame=') || output.includes('Stream mapping')) {
-          if (!isHevcWarning) {
-            console.log(`[FFmpeg ${streamName}] ${output.trim()}`);
-          }
-          if ((output.includes('Stream #0') || output.includes('Stream mapping')) && !streamStarted) {
-            streamStarted = true;
-            console.log(`[FFmpeg ${streamName}] 📡 Stream processing detected - connection established`);
-          }
-        }
-        
-        // Check for successful MediaMTX connection
-        if (output.includes('rtsp://') && (output.includes('succeeded') || output.includes('Opening'))) {
-          console.log(`[FFmpeg ${streamName}] ✅ Connected to MediaMTX`);
+    // Handle stderr
+    ffmpegProcess.stderr.on('data', (data) => {
+      const output = redactText(data.toString());
+      streamLogStore.append(streamName, 'stderr', output);
+      
+      // Filter out common HEVC decoder warnings
+      const isHevcWarning = output.includes('[hevc @') && 
+                            (output.includes('Could not find ref') || 
+                             output.includes('Error constructing') ||
+                             output.includes('Skipping invalid'));
+      
+      // Check for stream ready indicators
+      if (output.includes('Stream #0') || output.includes('Output #0') || 
+          output.includes('frame=') || output.includes('Stream mapping')) {
+        if (!isHevcWarning) {
+          console.log(`[FFmpeg ${streamName}] ${output.trim()}`);
         }
-        
-        // Log errors (except HEVC warnings)
-        if ((output.includes('error') || output.includes('Error') || 
-             output.includes('failed') || output.includes('Failed')) && !isHevcWarning) {
-          console.error(`[FFmpeg ${streamName}] ❌ ${output.trim()}`);
+        if ((output.includes('Stream #0') || output.includes('Stream mapping')) && !streamStarted) {
+          streamStarted = true;
+          console.log(`[FFmpeg ${streamName}] 📡 Stream processing detected - connection established`);
+          this.markOutputStarted(processInfo);
         }
-      });
+      }
+      
+      // Check for successful MediaMTX connection
+      if (output.includes('rtsp://') && (output.includes('succeeded') || output.includes('Opening'))) {
+        console.log(`[FFmpeg ${streamName}] ✅ Connected to MediaMTX`);
+      }
+      
+      // Log errors (except HEVC warnings)
+      if ((output.includes('error') || output.includes('Error') || 
+           output.includes('failed') || output.includes('Failed')) && !isHevcWarning) {
+        console.error(`[FFmpeg ${streamName}] ❌ ${output.trim()}`);
+      }
+    });
 
-      // Handle process exit
-      ffmpegProcess.on('exit', async (code, signal) => {
-        console.log(`[FFmpeg ${streamName}] Process exited with code ${code}, signal ${signal}`);
-        
-        // Remove from active processes
+    // Handle process exit
+    ffmpegProcess.on('exit', async (code, signal) => {
+      // Detached worker let go on shutdown - the stream is still running
+      if (processInfo.detached) return;
+
+      console.log(`[FFmpeg ${streamName}] Process exited with code ${code}, signal ${signal}`);
+      streamLogStore.recordExit(streamName, {
+        pid: ffmpegProcess.pid,
+        code,
+        signal,
+        uptimeMs: Date.now() - processInfo.startTime,
+        stopRequested: processInfo.stopRequested
+      });
+      // Already found dead and handled by dropDeadProcess
+      if (processInfo.dropped) return;
+      
+      // Remove from active processes (unless a newer process already took the slot)
+      const isCurrent = this.processes.get(streamName) === processInfo;
+      if (isCurrent) {
         this.processes.delete(streamName);
+        capacityManager.release(streamName);
+      }
 
-        // Update database - mark as not streaming
-        try {
-          await Camera.updateOne(
-            { streamName },
-            { 
-              streaming: false,
-              processId: null,
-              lastChecked: Date.now()
-            }
-          );
-          console.log(`[FFmpeg ${streamName}] Database updated: streaming = false`);
-        } catch (error) {
-          console.error(`[FFmpeg ${streamName}] Error updating database:`, error.message);
-        }
+      // Conditions cannot outlive the process that observed them
+      this.closeConditions(processInfo, 'stream_stopped');
 
-        // Auto-restart if not shutting down and was validated
-        if (!this.isShuttingDown && processInfo.isValidated) {
-          const maxRetries = 10;
-          const retryDelay = Math.min(2000 * Math.pow(1.5, processInfo.restartCount || 0), 30000);
-          
-          if ((processInfo.restartCount || 0) < maxRetries) {
-            console.log(`[FFmpeg ${streamName}] Auto-restarting in ${retryDelay/1000}s... (Attempt ${(processInfo.restartCount || 0) + 1}/${maxRetries})`);
-            
-            setTimeout(async () => {
-              try {
-                const camera = await Camera.findOne({ streamName, active: true });
-                if (camera) {
-                  console.log(`[FFmpeg ${streamName}] 🔄 Restarting stream...`);
-                  processInfo.restartCount = (processInfo.restartCount || 0) + 1;
-                  await this.startStream(camera.rtspUrl, streamName);
-                } else {
-                  console.log(`[FFmpeg ${streamName}] Camera not found or inactive, stopping retries`);
-                }
-              } catch (error) {
-                console.error(`[FFmpeg ${streamName}] Restart failed:`, error.message);
-              }
-            }, retryDelay);
-          } else {
-            console.error(`[FFmpeg ${streamName}] Max retries reached, StreamMonitor will handle restart`);
-          }
-        }
-      });
+      // Stopped on purpose - stopStream owns the database update and no restart is wanted
+      if (processInfo.stopRequested) {
+        processInfo.settleReady({ ready: false, reason: 'stopped', message: 'Stream was stopped' });
+        return;
+      }
+
+      const stderr = streamLogStore.getLines(streamName, { since: processInfo.logStartSeq })
+        .filter(entry => entry.source === 'stderr')
+        .map(entry => entry.line);
+      let failure = { ...classifyExit({ code, signal, stderr }), code, signal };
+      if (processInfo.readinessTimedOut && failure.reason === 'killed') {
+        failure = {
+          ...failure,
+          reason: 'timeout',
+          message: `Stream did not become ready within ${config.readiness.timeout / 1000}s`
+        };
+      }
+      console.log(`[FFmpeg ${streamName}] Exit reason: ${failure.reason} - ${failure.message}`);
+      metrics.ffmpegExits.inc({ ...metrics.streamLabels(streamName, processInfo.workspaceId), reason: failure.reason });
+      processInfo.settleReady({ ready: false, reason: failure.reason, message: failure.message });
+
+      // Update database - mark as not streaming and remember why
+      await this.recordFailure(streamName, failure);
 
-      // Handle process errors
-      ffmpegProcess.on('error', async (error) => {
-        console.error(`[FFmpeg ${streamName}] Process error:`, error.message);
+      // The supervisor decides whether and when to restart
+      if (isCurrent && !this.isShuttingDown) {
+        this.emit('streamExit', streamName, { failure, wasReady: processInfo.isValidated });
+      }
+    });
+
+    // Handle process errors
+    ffmpegProcess.on('error', async (error) => {
+      console.error(`[FFmpeg ${streamName}] Process error:`, error.message);
+      streamLogStore.append(streamName, 'system', `Process error: ${error.message}`);
+      const isCurrent = this.processes.get(streamName) === processInfo;
+      if (isCurrent) {
         this.processes.delete(streamName);
-        
-        // Update database
-        try {
-          await Camera.updateOne(
-            { streamName },
-            { 
-              streaming: false,
-              processId: null,
-              lastChecked: Date.now()
-            }
-          );
-        } catch (dbError) {
-          console.error(`[FFmpeg ${streamName}] DB update error:`, dbError.message);
-        }
-        
-        if (!resolvePromiseCalled) {
-          resolvePromiseCalled = true;
-          reject(error);
-        }
-      });
+        capacityManager.release(streamName);
+      }
+      processInfo.settleReady({ ready: false, reason: 'spawn_failed', message: error.message });
+      
+      // Update database
+      const failure = {
+        reason: 'spawn_failed',
+        message: `FFmpeg could not be started: ${error.message}`,
+        detail: null,
+        code: null,
+        signal: null
+      };
+      metrics.ffmpegExits.inc({ ...metrics.streamLabels(streamName, processInfo.workspaceId), reason: failure.reason });
+      await this.recordFailure(streamName, failure);
 
-      // Validation function - checks if process is actually running
-      const validateProcess = async () => {
-        try {
-          // Check if process exists
-          if (!ffmpegProcess.pid) {
-            throw new Error('Process has no PID');
-          }
+      if (isCurrent && !this.isShuttingDown) {
+        this.emit('streamExit', streamName, { failure, wasReady: false });
+      }
+      
+      if (onError) onError(error);
+    });
 
-          // Verify process is actually running (cross-platform check)
-          try {
-            process.kill(ffmpegProcess.pid, 0); // Signal 0 checks if process exists
-          } catch (err) {
-            throw new Error(`Process ${ffmpegProcess.pid} does not exist`);
-          }
+    if (onSpawn) {
+      ffmpegProcess.once('spawn', onSpawn);
+    }
+  }
 
-          // Check if still in our processes map
-          if (!this.processes.has(streamName)) {
-            throw new Error('Process removed from active streams');
-          }
+  /**
+   * Set up the readiness promise of a new process
+   * processInfo.ready resolves once with { ready, reason?, message? }; the process is
+   * killed when it does not become ready within config.readiness.timeout.
+   */
+  createReadiness(processInfo) {
+    let settle;
+    processInfo.ready = new Promise(resolve => { settle = resolve; });
+    processInfo.readyResult = null;
+    processInfo.readinessTimedOut = false;
+    processInfo.mediamtxPolling = false;
 
-          return true;
-        } catch (error) {
-          console.error(`[FFmpeg ${streamName}] Validation failed:`, error.message);
-          return false;
+    processInfo.settleReady = (result) => {
+      if (processInfo.readyResult) return;
+      processInfo.readyResult = result;
+      clearTimeout(processInfo.readyTimer);
+      settle(result);
+    };
+
+    processInfo.readyTimer = setTimeout(() => {
+      if (processInfo.readyResult || processInfo.stopRequested) return;
+
+      console.error(`[FFmpeg ${processInfo.streamName}] ❌ Not ready after ${config.readiness.timeout / 1000}s - killing process`);
+      processInfo.readinessTimedOut = true;
+      // Frames were encoded but MediaMTX never reported the path ready
+      if (processInfo.mediamtxPolling) {
+        metrics.mediamtxVerificationFailures.inc({ ...metrics.streamLabels(processInfo.streamName, processInfo.workspaceId), check: 'api' });
+      }
+      this.killProcess(processInfo.process);
+    }, config.readiness.timeout);
+  }
+
+  /**
+   * FFmpeg opened its output (stream mapping logged or first progress block)
+   */
+  markOutputStarted(processInfo) {
+    if (this.processes.get(processInfo.streamName) !== processInfo) return;
+    if (streamStateMachine.getState(processInfo.streamName) === 'starting') {
+      streamStateMachine.transition(processInfo.streamName, 'validating', 'output started', { pid: processInfo.process.pid });
+    }
+  }
+
+  /**
+   * Advance readiness after a progress update: output started -> frames encoded -> MediaMTX ready
+   */
+  checkReadiness(processInfo) {
+    if (processInfo.readyResult || processInfo.stopRequested) return;
+
+    const { metrics, streamName } = processInfo;
+    if (metrics.lastProgressAt) {
+      this.markOutputStarted(processInfo);
+    }
+    if (metrics.frames === 0) return;
+
+    if (!config.mediamtx.apiUrl) {
+      this.markReady(processInfo);
+      return;
+    }
+
+    if (processInfo.mediamtxPolling) return;
+    processInfo.mediamtxPolling = true;
+    console.log(`[FFmpeg ${streamName}] 🎞️ First frames encoded - waiting for MediaMTX path`);
+
+    const poll = async () => {
+      if (processInfo.readyResult || processInfo.stopRequested) return;
+      if (await this.checkMediamtxPathReady(streamName)) {
+        this.markReady(processInfo);
+      } else {
+        setTimeout(poll, config.readiness.pollInterval);
+      }
+    };
+    poll();
+  }
+
+  /**
+   * The stream is live: enable auto-restart, update the database and wake up waiters
+   */
+  async markReady(processInfo) {
+    const { streamName } = processInfo;
+    if (processInfo.readyResult || this.processes.get(streamName) !== processInfo) return;
+
+    const readyInMs = Date.now() - processInfo.startTime;
+    processInfo.isValidated = true;
+    streamStateMachine.transition(streamName, 'live', 'stream ready', { pid: processInfo.process.pid, readyInMs });
+    this.refreshHealthState(processInfo);
+    processInfo.settleReady({ ready: true, readyInMs });
+    this.emit('streamReady', streamName);
+
+    const publicUrl = this.getPublicUrl(streamName);
+    console.log(`[FFmpeg ${streamName}] ✅ Stream ready in ${(readyInMs / 1000).toFixed(1)}s`);
+    console.log(`[FFmpeg ${streamName}] 📺 HLS Manifest: ${publicUrl}/index.m3u8`);
+
+    try {
+      await Camera.updateOne(
+        { streamName },
+        { 
+          $set: {
+            streaming: true,
+            processId: processInfo.process.pid,
+            lastChecked: Date.now()
+          },
+          $unset: { lastError: 1 }
         }
-      };
+      );
+      console.log(`[FFmpeg ${streamName}] ✅ Marked as streaming in database`);
+    } catch (err) {
+      console.error(`[FFmpeg ${streamName}] ❌ Database update error:`, err.message);
+    }
 
-      // Wait for process to start
-      setTimeout(async () => {
-        if (!ffmpegProcess.pid) {
-          console.error(`[FFmpeg ${streamName}] ❌ Process failed to start`);
-          this.processes.delete(streamName);
-          if (!resolvePromiseCalled) {
-            resolvePromiseCalled = true;
-            reject(new Error('FFmpeg process failed to start'));
-          }
-          return;
+    // Without the MediaMTX API the HLS endpoint is checked for the logs and metrics only (non-blocking)
+    if (!config.mediamtx.apiUrl) {
+      this.verifyStreamAvailability(streamName, 3, 3000).then((available) => {
+        if (!available) {
+          metrics.mediamtxVerificationFailures.inc({ ...metrics.streamLabels(streamName, processInfo.workspaceId), check: 'hls' });
         }
+      }).catch((err) => {
+        console.log(`[FFmpeg ${streamName}] ⚠️ Stream verification check failed: ${err.message}`);
+      });
+    }
+  }
 
-        console.log(`[FFmpeg ${streamName}] ✅ Started with PID ${ffmpegProcess.pid}`);
-        console.log(`[FFmpeg ${streamName}] 🌐 Public URL: ${publicUrl}`);
-        console.log(`[FFmpeg ${streamName}] ⏳ Validating stream stability...`);
+  /**
+   * Wait until a started stream is ready or has failed
+   * @param {string} streamName
+   * @param {number} timeoutMs - How long the caller is willing to wait
+   * @returns {Promise<Object>} { ready: true, readyInMs } or { ready: false, reason, message }
+   */
+  async waitForReady(streamName, timeoutMs) {
+    const processInfo = this.processes.get(streamName);
+    if (!processInfo) {
+      return { ready: false, reason: 'not_running', message: 'Stream is not running' };
+    }
 
-        // Wait for MediaMTX to be ready and stream to stabilize
-        setTimeout(async () => {
-          // Validate process is still running
-          const isValid = await validateProcess();
-          
-          if (!isValid) {
-            console.error(`[FFmpeg ${streamName}] ❌ Process validation failed - stream not stable`);
-            try {
-              await Camera.updateOne(
-                { streamName },
-                { 
-                  streaming: false,
-                  processId: null,
-                  lastChecked: Date.now()
-                }
-              );
-            } catch (err) {
-              console.error(`[FFmpeg ${streamName}] DB update error:`, err.message);
-            }
-            // Resolve anyway - let StreamMonitor handle restart
-            if (!resolvePromiseCalled) {
-              resolvePromiseCalled = true;
-              resolve(publicUrl);
-            }
-            return;
-          }
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({
+        ready: false,
+        reason: 'wait_timeout',
+        message: `Stream not ready after ${timeoutMs / 1000}s - still starting`
+      }), timeoutMs);
+    });
+
+    const result = await Promise.race([processInfo.ready, timeout]);
+    clearTimeout(timer);
+    return result;
+  }
 
-          // Process is valid and running - update database first
-          processInfo.isValidated = true;
-          streamValidated = true;
+  /**
+   * Ask the MediaMTX API whether a path has a ready publisher
+   */
+  checkMediamtxPathReady(streamName) {
+    return new Promise((resolve) => {
+      const url = new URL(`${config.mediamtx.apiUrl}/v3/paths/get/${streamName}`);
+      const httpModule = url.protocol === 'https:' ? https : http;
+      const headers = {};
+      if (config.mediamtx.user && config.mediamtx.pass) {
+        headers.Authorization = `Basic ${Buffer.from(`${config.mediamtx.user}:${config.mediamtx.pass}`).toString('base64')}`;
+      }
 
+      const req = httpModule.get(url, { headers, timeout: 3000 }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) return resolve(false);
           try {
-            const updateResult = await Camera.updateOne(
-              { streamName },
-              { 
-                streaming: true,
-                processId: ffmpegProcess.pid,
-                lastChecked: Date.now()
-              }
-            );
-            
-            console.log(`[FFmpeg ${streamName}] ✅ Stream validated and marked as streaming in database`);
-            console.log(`[FFmpeg ${streamName}] 📺 Stream URL: ${publicUrl}`);
-            console.log(`[FFmpeg ${streamName}] 📺 HLS Manifest: ${publicUrl}/index.m3u8`);
-            
-            // Try to verify stream availability on MediaMTX (non-blocking)
-            // This is optional - stream will work even if verification fails
-            this.verifyStreamAvailability(streamName, 3, 3000).then((isAvailable) => {
-              if (isAvailable) {
-                console.log(`[FFmpeg ${streamName}] ✅ Stream verified available on MediaMTX`);
-                console.log(`[FFmpeg ${streamName}] ✅ Stream ready for all devices (mobile, network, etc.)`);
-              } else {
-                console.log(`[FFmpeg ${streamName}] ⚠️ Stream process running but MediaMTX endpoint verification pending`);
-                console.log(`[FFmpeg ${streamName}] 💡 Stream may still be initializing - will be available shortly`);
-                console.log(`[FFmpeg ${streamName}] 💡 Stream URL is ready: ${publicUrl}`);
-              }
-            }).catch((err) => {
-              // Verification failed but stream is still running
-              console.log(`[FFmpeg ${streamName}] ⚠️ Stream verification check failed: ${err.message}`);
-              console.log(`[FFmpeg ${streamName}] 💡 Stream is running and will be available shortly`);
-            });
-            
-            if (!resolvePromiseCalled) {
-              resolvePromiseCalled = true;
-              resolve(publicUrl);
-            }
+            resolve(JSON.parse(body).ready === true);
           } catch (err) {
-            console.error(`[FFmpeg ${streamName}] ❌ Database update error:`, err.message);
-            // Still resolve since stream is running
-            if (!resolvePromiseCalled) {
-              resolvePromiseCalled = true;
-              resolve(publicUrl);
-            }
+            resolve(false);
           }
-        }, 15000); // 15 seconds total wait for MediaMTX to generate HLS and be ready
-      }, 2000); // 2 seconds initial wait for process to start
-
-      // Fallback timeout
-      setTimeout(() => {
-        if (!streamValidated && !resolvePromiseCalled) {
-          console.log(`[FFmpeg ${streamName}] ⚠️ Validation timeout, resolving with warning`);
-          resolvePromiseCalled = true;
-          resolve(publicUrl);
-        }
-      }, 15000); // 15 second absolute timeout
+        });
+      });
+      req.on('timeout', () => req.destroy());
+      req.on('error', () => resolve(false));
     });
   }
 
+  /**
+   * SIGTERM a process, SIGKILL it if it is still alive after 3 seconds
+   */
+  killProcess(ffmpegProcess) {
+    try {
+      ffmpegProcess.kill('SIGTERM');
+    } catch (err) {
+      return;
+    }
+    const killTimeout = setTimeout(() => {
+      try {
+        process.kill(ffmpegProcess.pid, 'SIGKILL');
+      } catch (err) {
+        // Process already dead
+      }
+    }, 3000);
+    ffmpegProcess.once('exit', () => clearTimeout(killTimeout));
+  }
+
   /**
    * Stop a specific stream
+   * Resolves once the FFmpeg process has exited (or was force killed)
+   * @param {string} streamName
+   * @param {Object} [options]
+   * @param {string} [options.state] - Lifecycle state after stopping (default idle)
+   * @param {string} [options.reason] - Reason recorded with the state change
    */
-  async stopStream(streamName) {
+  async stopStream(streamName, options = {}) {
     const processInfo = this.processes.get(streamName);
     if (processInfo) {
       console.log(`[FFmpeg] Stopping stream ${streamName} (PID: ${processInfo.process.pid})`);
+      processInfo.stopRequested = true;
+
+      const ffmpegProcess = processInfo.process;
+      const isAlive = ffmpegProcess && ffmpegProcess.exitCode === null && ffmpegProcess.signalCode === null;
+      const exited = isAlive
+        ? new Promise(resolve => ffmpegProcess.once('exit', resolve))
+        : Promise.resolve();
       
       try {
         // Try graceful shutdown first
-        if (processInfo.process && !processInfo.process.killed) {
-          processInfo.process.kill('SIGTERM');
+        if (isAlive && !ffmpegProcess.killed) {
+          ffmpegProcess.kill('SIGTERM');
           
           // Wait up to 3 seconds for graceful shutdown
           let killed = false;
           const killTimeout = setTimeout(() => {
             if (!killed) {
               try {
-                process.kill(processInfo.process.pid, 'SIGKILL');
-                console.log(`[FFmpeg] Force killed process ${processInfo.process.pid} for ${streamName}`);
+                process.kill(ffmpegProcess.pid, 'SIGKILL');
+                console.log(`[FFmpeg] Force killed process ${ffmpegProcess.pid} for ${streamName}`);
               } catch (err) {
                 // Process already dead
               }
             }
           }, 3000);
           
-          processInfo.process.once('exit', () => {
+          ffmpegProcess.once('exit', () => {
             killed = true;
             clearTimeout(killTimeout);
           });
@@ -374,15 +722,21 @@ class FFmpegManager {
         console.error(`[FFmpeg] Error killing process:`, err.message);
         // Try force kill
         try {
-          if (processInfo.process && processInfo.process.pid) {
-            process.kill(processInfo.process.pid, 'SIGKILL');
+          if (ffmpegProcess && ffmpegProcess.pid) {
+            process.kill(ffmpegProcess.pid, 'SIGKILL');
           }
         } catch (killErr) {
           // Process already dead, ignore
         }
       }
       
-      this.processes.delete(streamName);
+      if (this.processes.get(streamName) === processInfo) {
+        this.processes.delete(streamName);
+        capacityManager.release(streamName);
+      }
+
+      // Wait for the process to go away so the stream name can be reused safely
+      await Promise.race([exited, new Promise(resolve => setTimeout(resolve, 5000))]);
       
       // Update database - mark stream as stopped
       try {
@@ -399,12 +753,39 @@ class FFmpegManager {
         console.error(`[FFmpeg] ❌ DB update error:`, err.message);
       }
       
+      this.markStopped(streamName, options);
       return true;
     }
+    // A start still waiting for its slot is cancelled
+    capacityManager.release(streamName);
     console.log(`[FFmpeg] Stream ${streamName} not found in active processes`);
+    this.markStopped(streamName, options);
     return false;
   }
 
+  /**
+   * Move a stopped stream to idle or options.state (a disabled camera stays disabled)
+   */
+  markStopped(streamName, options = {}) {
+    if (streamStateMachine.getState(streamName) !== 'disabled') {
+      const reason = options.reason || (this.isShuttingDown ? 'server shutting down' : 'stream stopped');
+      streamStateMachine.transition(streamName, options.state || 'idle', reason);
+    }
+  }
+
+  /**
+   * Restart a stream under the same stream name (e.g. after its source changed)
+   * @param {string} rtspSource - Source RTSP URL
+   * @param {string} streamName - Existing stream name
+   * @param {Object} [options] - Stream options (see startStream)
+   * @returns {Promise<string>} Public HTTP URL for the stream
+   */
+  async restartStream(rtspSource, streamName, options = {}) {
+    console.log(`[FFmpeg ${streamName}] 🔄 Restarting stream with updated settings...`);
+    await this.stopStream(streamName);
+    return this.startStream(rtspSource, streamName, options);
+  }
+
   /**
    * Stop all streams
    */
@@ -451,6 +832,112 @@ class FFmpegManager {
     console.log('[FFmpeg] ════════════════════════════════════════════════════');
   }
 
+  /**
+   * Stop the streams on shutdown, or only let go of them when they run under detached workers
+   * @returns {Promise<boolean>} Whether the streams were left running
+   */
+  async shutdown() {
+    if (!streamWorkers.isEnabled()) {
+      await this.stopAll();
+      return false;
+    }
+
+    this.isShuttingDown = true;
+    console.log(`[FFmpeg] 🔌 Detaching from ${this.processes.size} stream worker(s) - video keeps running`);
+    for (const processInfo of this.processes.values()) {
+      processInfo.detached = true;
+      clearTimeout(processInfo.readyTimer);
+      processInfo.process.detach();
+    }
+    this.processes.clear();
+    return true;
+  }
+
+  /**
+   * Re-attach to streams left running under detached workers by the previous API process
+   * Workers of cameras that were deleted, deactivated or leased to another node meanwhile are stopped.
+   * @returns {Promise<number>} Number of streams re-attached
+   */
+  async adoptWorkers() {
+    if (!streamWorkers.isEnabled()) return 0;
+
+    const workers = streamWorkers.discover();
+    if (workers.length === 0) return 0;
+
+    const cameras = await Camera.find({ active: true });
+    const activeStreams = new Map(cameras.map(camera => [camera.streamName, camera]));
+    let adopted = 0;
+
+    // Newest first - an older worker for the same stream is a leftover
+    workers.sort((a, b) => b.startedAt - a.startedAt);
+
+    for (const state of workers) {
+      const { streamName } = state;
+      if (!activeStreams.has(streamName) || this.processes.has(streamName) || !(await leaseManager.acquire(streamName))) {
+        console.log(`[FFmpeg ${streamName}] 🛑 Stopping worker ${state.workerPid} - camera inactive, removed, leased elsewhere or already attached`);
+        streamWorkers.terminate(state);
+        continue;
+      }
+
+      try {
+        const handle = await streamWorkers.attach(state);
+        const meta = state.meta || {};
+        const camera = activeStreams.get(streamName);
+        const processInfo = this.createProcessInfo(handle, streamName, {
+          rtspSource: meta.rtspSource,
+          encodingProfile: meta.encodingProfile,
+          videoMode: meta.videoMode,
+          configuredVideoMode: meta.configuredVideoMode,
+          audioCodec: meta.audioCodec,
+          renditions: meta.renditions || [],
+          workspaceId: camera.workspaceId,
+          analysisFd: meta.analysisFd || null
+        }, meta.startTime || state.startedAt);
+
+        this.processes.set(streamName, processInfo);
+        // Already running - counted against the capacity but never refused
+        capacityManager.reserve(streamName, capacityManager.estimateCost(
+          { ...camera.getStreamOptions(), videoMode: meta.videoMode },
+          camera.lastProbe
+        ));
+        streamStateMachine.transition(streamName, 'starting', 're-attaching to running worker', { pid: state.pid, workerPid: state.workerPid });
+        streamLogStore.append(streamName, 'system', `Re-attached to worker ${state.workerPid} (FFmpeg PID ${state.pid})`);
+        this.watchProcess(processInfo);
+        // Output is already flowing; the next progress block validates the stream
+        this.markOutputStarted(processInfo);
+
+        console.log(`[FFmpeg ${streamName}] 🔗 Re-attached to worker ${state.workerPid} (FFmpeg PID ${state.pid})`);
+        adopted++;
+      } catch (error) {
+        console.error(`[FFmpeg ${streamName}] ❌ Could not re-attach to worker ${state.workerPid}:`, error.message);
+        streamWorkers.terminate(state);
+      }
+    }
+
+    return adopted;
+  }
+
+  /**
+   * RTSP output arguments publishing to a MediaMTX path
+   */
+  buildPublishArgs(pushTarget) {
+    return [
+      '-f', 'rtsp',
+      '-rtsp_transport', 'tcp',
+      '-rtsp_flags', 'prefer_tcp',
+      '-muxdelay', '0',
+      '-strict', 'experimental',
+      pushTarget
+    ];
+  }
+
+  /**
+   * MediaMTX path of an ABR rendition
+   */
+  getRenditionPath(streamName, renditionName) {
+    return `${streamName}_${renditionName}`;
+  }
+
   /**
    * Get public URL for a stream
    */
@@ -464,6 +951,11 @@ class FFmpegManager {
   isStreamRunning(streamName) {
     const processInfo = this.processes.get(streamName);
     if (!processInfo) return false;
+
+    // Detached worker still starting FFmpeg
+    if (!processInfo.process.pid) {
+      return processInfo.process.exitCode === null;
+    }
     
     // Double check process is actually alive
     try {
@@ -473,7 +965,7 @@ class FFmpegManager {
       }
     } catch (err) {
       // Process doesn't exist
-      this.processes.delete(streamName);
+      this.dropDeadProcess(streamName, processInfo);
       return false;
     }
     
@@ -492,13 +984,351 @@ class FFmpegManager {
         }
       } catch (err) {
         // Process is dead, remove it
-        this.processes.delete(streamName);
+        this.dropDeadProcess(streamName, processInfo);
       }
     }
     
     return Array.from(this.processes.keys());
   }
 
+  /**
+   * Forget a process found dead before its exit was reported
+   * Does what the exit handler would: the exit handler skips processes dropped here, so the
+   * capacity is released and 'streamExit' is emitted now (a detached worker may report late or never).
+   */
+  dropDeadProcess(streamName, processInfo) {
+    if (this.processes.get(streamName) !== processInfo) return;
+
+    processInfo.dropped = true;
+    this.processes.delete(streamName);
+    capacityManager.release(streamName);
+    this.closeConditions(processInfo, 'stream_stopped');
+
+    if (processInfo.stopRequested) {
+      processInfo.settleReady({ ready: false, reason: 'stopped', message: 'Stream was stopped' });
+      return;
+    }
+
+    console.log(`[FFmpeg ${streamName}] ⚠️ Process ${processInfo.process.pid} is gone - treating it as exited`);
+    const failure = {
+      reason: 'unknown',
+      message: 'FFmpeg process disappeared before its exit was reported',
+      detail: null,
+      code: null,
+      signal: null
+    };
+    metrics.ffmpegExits.inc({ ...metrics.streamLabels(streamName, processInfo.workspaceId), reason: failure.reason });
+    processInfo.settleReady({ ready: false, reason: failure.reason, message: failure.message });
+
+    this.recordFailure(streamName, failure).then(() => {
+      if (!this.isShuttingDown) {
+        this.emit('streamExit', streamName, { failure, wasReady: processInfo.isValidated });
+      }
+    });
+  }
+
+  /**
+   * Get live FFmpeg progress metrics for a stream (null when not running)
+   */
+  getStreamMetrics(streamName) {
+    const processInfo = this.processes.get(streamName);
+    return processInfo ? { ...processInfo.metrics } : null;
+  }
+
+  /**
+   * Find running streams that stopped producing frames
+   * Streams that never produced a frame are judged from startTime + startupGrace
+   * @param {number} stallTimeout - Milliseconds without new frames before a stream counts as stalled
+   * @param {number} startupGrace - Milliseconds a new process gets to produce its first frame
+   * @returns {Array<{streamName: string, pid: number, silenceMs: number, lastFrameAt: number|null}>}
+   */
+  getStalledStreams(stallTimeout, startupGrace) {
+    const now = Date.now();
+    const stalled = [];
+
+    for (const [streamName, processInfo] of this.processes.entries()) {
+      // Already being replaced
+      if (processInfo.stopRequested || processInfo.stalled) continue;
+
+      const { lastFrameAt } = processInfo.metrics;
+      const reference = lastFrameAt || (processInfo.startTime + startupGrace);
+      const silenceMs = now - reference;
+
+      if (silenceMs > stallTimeout) {
+        stalled.push({
+          streamName,
+          pid: processInfo.process.pid,
+          silenceMs: now - (lastFrameAt || processInfo.startTime),
+          lastFrameAt
+        });
+      }
+    }
+
+    return stalled;
+  }
+
+  /**
+   * Mark a stream as not streaming and store why its process died
+   * consecutiveFailures counts up until a process validates again (which removes lastError).
+   * @param {string} streamName
+   * @param {Object} failure - { reason, message, detail, code, signal }
+   */
+  async recordFailure(streamName, failure) {
+    try {
+      await Camera.updateOne(
+        { streamName },
+        {
+          $set: {
+            streaming: false,
+            processId: null,
+            lastChecked: Date.now(),
+            'lastError.reason': failure.reason,
+            'lastError.message': failure.message,
+            'lastError.detail': failure.detail,
+            'lastError.code': failure.code,
+            'lastError.signal': failure.signal,
+            'lastError.at': new Date()
+          },
+          $inc: { 'lastError.consecutiveFailures': 1 }
+        }
+      );
+      console.log(`[FFmpeg ${streamName}] Database updated: streaming = false`);
+    } catch (error) {
+      console.error(`[FFmpeg ${streamName}] Error updating database:`, error.message);
+    }
+  }
+
+  /**
+   * Initial video condition state for a process
+   */
+  createConditions() {
+    const conditions = {};
+    for (const condition of CONDITIONS) {
+      conditions[condition] = { active: false, startedAt: null, event: null };
+    }
+    return conditions;
+  }
+
+  /**
+   * Apply a freeze/black start or end reported by the analysis output
+   * Media time is converted to wall-clock time relative to the frame being analysed.
+   */
+  handleConditionTransition(processInfo, { condition, active, mediaTime, currentMediaTime }) {
+    const state = processInfo.conditions[condition];
+    const { streamName } = processInfo;
+
+    if (active) {
+      if (state.active) return;
+      const lagSeconds = mediaTime !== null && currentMediaTime !== null
+        ? Math.max(0, currentMediaTime - mediaTime)
+        : 0;
+      const startedAt = new Date(Date.now() - lagSeconds * 1000);
+
+      state.active = true;
+      state.startedAt = startedAt;
+      console.log(`[FFmpeg ${streamName}] ⚠️ Condition ${condition} started at ${startedAt.toISOString()}`);
+
+      // Kept as a promise so an end arriving before the insert finishes still closes it
+      state.event = StreamEvent.record({
+        streamName,
+        type: condition,
+        message: condition === 'video_frozen' ? 'Video image frozen' : 'Video is black',
+        startedAt
+      });
+      this.refreshHealthState(processInfo);
+      return;
+    }
+
+    if (!state.active) return;
+    this.closeCondition(processInfo, condition, 'recovered');
+    this.refreshHealthState(processInfo);
+  }
+
+  /**
+   * Mark a condition as ended and close its event
+   */
+  closeCondition(processInfo, condition, reason) {
+    const state = processInfo.conditions[condition];
+    const endedAt = new Date();
+    const durationSec = state.startedAt ? Math.round((endedAt - state.startedAt) / 1000) : null;
+
+    console.log(`[FFmpeg ${processInfo.streamName}] ✅ Condition ${condition} ended (${reason}, ${durationSec}s)`);
+    if (state.event) {
+      state.event.then((event) => {
+        if (event) {
+          StreamEvent.close(event._id, endedAt, { reason, durationSec });
+        }
+      });
+    }
+
+    state.active = false;
+    state.startedAt = null;
+    state.event = null;
+  }
+
+  /**
+   * Close every active condition of a process
+   */
+  closeConditions(processInfo, reason) {
+    for (const condition of CONDITIONS) {
+      if (processInfo.conditions[condition].active) {
+        this.closeCondition(processInfo, condition, reason);
+      }
+    }
+  }
+
+  /**
+   * Running streams whose FFmpeg cannot keep up with the camera (progress speed below minSpeed)
+   * Only validated streams with recent progress count; stalled streams are the watchdog's business.
+   * @param {number} minSpeed - e.g. 0.95 for 0.95x
+   * @param {number} maxAge - Milliseconds a progress update stays current
+   * @returns {Array<{streamName: string, speed: number}>}
+   */
+  getSlowStreams(minSpeed, maxAge) {
+    const now = Date.now();
+    const slow = [];
+
+    for (const [streamName, processInfo] of this.processes.entries()) {
+      const { metrics } = processInfo;
+      if (!processInfo.isValidated || processInfo.stalled || processInfo.stopRequested) continue;
+      if (metrics.speed === null || !metrics.lastProgressAt || now - metrics.lastProgressAt > maxAge) continue;
+      if (metrics.speed < minSpeed) {
+        slow.push({ streamName, speed: metrics.speed });
+      }
+    }
+
+    return slow;
+  }
+
+  /**
+   * Sample CPU and memory of every FFmpeg process every config.resources.interval (Linux only)
+   */
+  startResourceSampling() {
+    if (this.resourceTimer || !procfs.isSupported()) return false;
+    this.resourceTimer = setInterval(() => this.sampleResources(), config.resources.interval);
+    return true;
+  }
+
+  stopResourceSampling() {
+    if (this.resourceTimer) {
+      clearInterval(this.resourceTimer);
+      this.resourceTimer = null;
+    }
+  }
+
+  /**
+   * Read /proc/<pid>/stat and /proc/<pid>/status of every tracked process
+   */
+  sampleResources() {
+    const now = Date.now();
+    for (const processInfo of this.processes.values()) {
+      const pid = processInfo.process.pid;
+      if (!pid) continue;
+
+      const stat = procfs.readStat(pid);
+      if (!stat) continue;
+      applyResourceSample(processInfo.resources, stat, procfs.readMemory(pid), config.resources.window, now);
+    }
+  }
+
+  /**
+   * CPU and memory use of a stream's process (null when not running)
+   */
+  getStreamResources(streamName) {
+    const processInfo = this.processes.get(streamName);
+    return processInfo ? summarizeResourceUsage(processInfo.resources) : null;
+  }
+
+  /**
+   * CPU and memory use of all FFmpeg processes of this node
+   * @returns {Object} { streams (sampled), cpuPercent, cpuPercentAvg, rssBytes, cpuCores, sampling }
+   */
+  getResourceTotals() {
+    const totals = { streams: 0, cpuPercent: 0, cpuPercentAvg: 0, rssBytes: 0 };
+    for (const processInfo of this.processes.values()) {
+      const usage = processInfo.resources;
+      if (usage.sampledAt === null) continue;
+      totals.streams++;
+      totals.cpuPercent += usage.cpuPercent || 0;
+      totals.cpuPercentAvg += usage.cpuPercentAvg || 0;
+      totals.rssBytes += usage.rssBytes || 0;
+    }
+
+    return {
+      ...totals,
+      cpuPercent: Math.round(totals.cpuPercent * 10) / 10,
+      cpuPercentAvg: Math.round(totals.cpuPercentAvg * 10) / 10,
+      cpuCores: os.cpus().length,
+      sampling: this.resourceTimer !== null
+    };
+  }
+
+  /**
+   * Gauges of the running streams for GET /metrics - per-stream series only with METRICS_STREAM_LABELS on
+   */
+  collectMetrics() {
+    metrics.streamsRunning.set({}, this.processes.size);
+    if (!config.metrics.streamLabels) return;
+
+    const now = Date.now();
+    for (const [streamName, processInfo] of this.processes.entries()) {
+      const labels = metrics.streamLabels(streamName, processInfo.workspaceId);
+      const { fps, bitrateKbps, speed } = processInfo.metrics;
+
+      metrics.streamUp.set(labels, processInfo.isValidated ? 1 : 0);
+      metrics.streamUptime.set(labels, Math.floor((now - processInfo.startTime) / 1000));
+      if (fps !== null) metrics.streamFps.set(labels, fps);
+      if (bitrateKbps !== null) metrics.streamBitrate.set(labels, bitrateKbps);
+      if (speed !== null) metrics.streamSpeed.set(labels, speed);
+    }
+  }
+
+  /**
+   * Current video conditions of a stream (null when not running)
+   */
+  getStreamConditions(streamName) {
+    const processInfo = this.processes.get(streamName);
+    if (!processInfo) return null;
+
+    const conditions = {};
+    for (const condition of CONDITIONS) {
+      const { active, startedAt } = processInfo.conditions[condition];
+      conditions[condition] = { active, startedAt };
+    }
+    return conditions;
+  }
+
+  /**
+   * Flag a stream as stalled until its process is replaced
+   */
+  markStalled(streamName) {
+    const processInfo = this.processes.get(streamName);
+    if (processInfo) {
+      processInfo.stalled = true;
+      this.refreshHealthState(processInfo);
+    }
+  }
+
+  /**
+   * Switch a live stream between live and degraded after a stall or video condition changed
+   */
+  refreshHealthState(processInfo) {
+    const { streamName } = processInfo;
+    if (this.processes.get(streamName) !== processInfo) return;
+
+    const state = streamStateMachine.getState(streamName);
+    if (state !== 'live' && state !== 'degraded') return;
+
+    const problems = CONDITIONS.filter(condition => processInfo.conditions[condition].active);
+    if (processInfo.stalled) problems.unshift('stalled');
+
+    if (problems.length > 0) {
+      streamStateMachine.transition(streamName, 'degraded', problems.join(', '));
+    } else {
+      streamStateMachine.transition(streamName, 'live', 'recovered');
+    }
+  }
+
   /**
    * Get process info for a stream
    */
@@ -618,20 +1448,5 @@ class FFmpegManager {
   }
 }
 
-// Singleton instance
-const ffmpegManager = new FFmpegManager();
-
-// Graceful shutdown handlers
-process.on('SIGTERM', async () => {
-  console.log('[System] SIGTERM received, shutting down gracefully...');
-  await ffmpegManager.stopAll();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  console.log('[System] SIGINT received, shutting down gracefully...');
-  await ffmpegManager.stopAll();
-  process.exit(0);
-});
-
-module.exports = ffmpegManager;
\ No newline at end of file
+// Singleton instance - shutdown is driven by server.js (gracefulShutdown)
+module.exports = new FFmpegManager();
\ No newline at end of file
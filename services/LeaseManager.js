@@ -0,0 +1,142 @@
+const config = require('../config');
+const Camera = require('../models/Camera');
+
+/**
+ * Camera leases for running several streaming nodes against one database
+ * A node only starts and supervises cameras whose lease it holds (Camera.lease: owner node id
+ * plus expiry). Leases are renewed by services/StreamSupervisor.js; when a node dies its leases
+ * expire after config.cluster.leaseTtl and other nodes take the cameras over.
+ */
+class LeaseManager {
+  constructor() {
+    this.owned = new Set(); // streamNames leased to this node as of the last acquire/renew
+  }
+
+  /**
+   * Id of this node
+   */
+  get nodeId() {
+    return config.cluster.nodeId;
+  }
+
+  /**
+   * Query matching cameras this node may hold: leased to it, never leased, released or expired
+   */
+  claimableFilter(now = new Date()) {
+    return {
+      $or: [
+        { 'lease.owner': this.nodeId },
+        { 'lease.owner': { $in: [null, ''] } },
+        { 'lease.expiresAt': { $lt: now } }
+      ]
+    };
+  }
+
+  /**
+   * Query matching cameras leased to this node or to nobody (expired leases of other nodes excluded)
+   */
+  ownedOrFreeFilter() {
+    return {
+      $or: [
+        { 'lease.owner': this.nodeId },
+        { 'lease.owner': { $in: [null, ''] } }
+      ]
+    };
+  }
+
+  /**
+   * Node holding a live lease on the camera, when that is not this node
+   * @param {Object} camera - Camera document (lease field loaded)
+   * @returns {string|null}
+   */
+  heldElsewhere(camera) {
+    const lease = camera.lease || {};
+    if (!lease.owner || lease.owner === this.nodeId) return null;
+    return lease.expiresAt && lease.expiresAt.getTime() > Date.now() ? lease.owner : null;
+  }
+
+  /**
+   * Whether the camera may be (re)claimed by this node right now
+   */
+  isClaimable(camera) {
+    return this.heldElsewhere(camera) === null;
+  }
+
+  /**
+   * Take or extend the lease of a camera
+   * @param {string} streamName
+   * @returns {Promise<Object|null>} { previousOwner } when this node holds the lease, null when another node does
+   *   (previousOwner is the node the camera was taken over from, '' when it was free or already ours)
+   */
+  async acquire(streamName) {
+    const now = new Date();
+    const previous = await Camera.findOneAndUpdate(
+      { streamName, ...this.claimableFilter(now) },
+      { $set: { 'lease.owner': this.nodeId, 'lease.expiresAt': new Date(now.getTime() + config.cluster.leaseTtl) } },
+      { projection: { lease: 1 } }
+    );
+
+    if (!previous) {
+      this.owned.delete(streamName);
+      return null;
+    }
+
+    this.owned.add(streamName);
+    const previousOwner = previous.lease && previous.lease.owner !== this.nodeId ? (previous.lease.owner || '') : '';
+    return { previousOwner };
+  }
+
+  /**
+   * Extend every lease held by this node
+   * @returns {Promise<Object[]>} Cameras leased to this node { streamName, active, restartRequestedAt }
+   */
+  async renew() {
+    await Camera.updateMany(
+      { 'lease.owner': this.nodeId },
+      { $set: { 'lease.expiresAt': new Date(Date.now() + config.cluster.leaseTtl) } }
+    );
+
+    const cameras = await Camera.find(
+      { 'lease.owner': this.nodeId },
+      { streamName: 1, active: 1, restartRequestedAt: 1 }
+    );
+    this.owned = new Set(cameras.map(camera => camera.streamName));
+    return cameras;
+  }
+
+  /**
+   * Give up the lease of a camera (only when this node holds it)
+   */
+  async release(streamName) {
+    this.owned.delete(streamName);
+    await Camera.updateOne(
+      { streamName, 'lease.owner': this.nodeId },
+      { $set: { 'lease.owner': '', 'lease.expiresAt': null } }
+    );
+  }
+
+  /**
+   * Mark the cameras this node streams (or nobody holds) as stopped - streams of other nodes are left alone
+   */
+  async markStopped() {
+    const result = await Camera.updateMany(
+      { streaming: true, ...this.ownedOrFreeFilter() },
+      { $set: { streaming: false, processId: null, lastChecked: Date.now() } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Give up every lease of this node (graceful shutdown) so other nodes take over at once
+   */
+  async releaseAll() {
+    this.owned.clear();
+    const result = await Camera.updateMany(
+      { 'lease.owner': this.nodeId },
+      { $set: { 'lease.owner': '', 'lease.expiresAt': null } }
+    );
+    return result.modifiedCount || 0;
+  }
+}
+
+module.exports = new LeaseManager();
@@ -0,0 +1,229 @@
+const os = require('os');
+const config = require('../config');
+const Camera = require('../models/Camera');
+const StreamEvent = require('../models/StreamEvent');
+const ffmpegManager = require('./FFmpegManager');
+const streamSupervisor = require('./StreamSupervisor');
+const { MAX_DEGRADATION_LEVEL } = require('../utils/encoding');
+
+// Cameras at this priority are never degraded
+const MAX_PRIORITY = 10;
+
+/**
+ * Optional load governor (LOAD_GOVERNOR=true)
+ * Watches the host CPU and the FFmpeg speed= of every stream. After config.governor.pressureChecks
+ * checks in a row under pressure (CPU at or above highCpu, or a stream below minSpeed) one camera is
+ * stepped down to a cheaper encoding (see degradeEncoding in utils/encoding.js): the lowest priority
+ * first, the most CPU-hungry among equals. After calmChecks calm checks (CPU below lowCpu, no slow
+ * stream) the highest-priority degraded camera is stepped back up. One camera per step keeps the
+ * node from swinging; every step is restarted through the supervisor and recorded as a stream event.
+ */
+class LoadGovernor {
+  constructor() {
+    this.timer = null;
+    this.isChecking = false;
+    this.cpuTimes = null;
+    this.pressureCount = 0;
+    this.calmCount = 0;
+    this.lastLoad = null; // { cpuPercent, slowStreams, checkedAt }
+    this.lastChange = null; // { streamName, from, to, reason, at }
+  }
+
+  /**
+   * Start watching the load (no-op unless enabled)
+   * @returns {boolean} Whether the governor runs
+   */
+  start() {
+    if (!config.governor.enabled || this.timer) return false;
+    this.cpuTimes = readCpuTimes();
+    this.timer = setInterval(() => this.check(), config.governor.interval);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Host CPU since the previous measurement and the streams falling behind
+   */
+  measure() {
+    const cpuTimes = readCpuTimes();
+    const previous = this.cpuTimes;
+    this.cpuTimes = cpuTimes;
+
+    const total = cpuTimes.total - previous.total;
+    const cpuPercent = total > 0 ? Math.round((1 - (cpuTimes.idle - previous.idle) / total) * 1000) / 10 : 0;
+    // A speed older than one interval belongs to a stream that went quiet - the watchdog's business
+    const slowStreams = ffmpegManager.getSlowStreams(config.governor.minSpeed, config.governor.interval);
+
+    return { cpuPercent, slowStreams, checkedAt: new Date() };
+  }
+
+  /**
+   * One governor check
+   */
+  async check() {
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const load = this.measure();
+      this.lastLoad = load;
+
+      const underPressure = load.cpuPercent >= config.governor.highCpu || load.slowStreams.length > 0;
+      const calm = load.cpuPercent < config.governor.lowCpu && load.slowStreams.length === 0;
+      this.pressureCount = underPressure ? this.pressureCount + 1 : 0;
+      this.calmCount = calm ? this.calmCount + 1 : 0;
+
+      if (this.pressureCount >= config.governor.pressureChecks) {
+        this.pressureCount = 0;
+        await this.stepDown(load);
+      } else if (this.calmCount >= config.governor.calmChecks) {
+        this.calmCount = 0;
+        await this.stepUp(load);
+      }
+    } catch (error) {
+      console.error('[Governor] ❌ Error checking load:', error.message);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Degrade the lowest-priority camera that can still go down a step
+   */
+  async stepDown(load) {
+    const cameras = await this.findRunningCameras({
+      // Cameras stored before priorities existed have no field and count as the default
+      priority: { $not: { $gte: MAX_PRIORITY } },
+      'degradation.level': { $not: { $gte: MAX_DEGRADATION_LEVEL } }
+    });
+
+    // Passthrough streams do not encode - re-encoding them would cost more, not less
+    const candidates = cameras
+      .filter(camera => {
+        const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
+        return processInfo && processInfo.videoMode === 'transcode';
+      })
+      .sort((a, b) => (a.priority - b.priority) || (cpuOf(b) - cpuOf(a)));
+
+    if (candidates.length === 0) {
+      console.warn(`[Governor] ⚠️ Node under pressure (${describeLoad(load)}) but no camera left to degrade`);
+      return;
+    }
+
+    const camera = candidates[0];
+    const level = (camera.degradation ? camera.degradation.level || 0 : 0) + 1;
+    await this.applyLevel(camera, level, describeLoad(load), load);
+  }
+
+  /**
+   * Restore one step of the highest-priority degraded camera
+   */
+  async stepUp(load) {
+    const cameras = await this.findRunningCameras({ 'degradation.level': { $gt: 0 } });
+    if (cameras.length === 0) return;
+
+    cameras.sort((a, b) => (b.priority - a.priority) || (b.degradation.level - a.degradation.level));
+    const camera = cameras[0];
+    await this.applyLevel(camera, camera.degradation.level - 1, `load recovered (${describeLoad(load)})`, load);
+  }
+
+  /**
+   * Active cameras running on this node and not being handled by the supervisor
+   */
+  async findRunningCameras(filter) {
+    const streamNames = ffmpegManager.getActiveStreams().filter(streamName => !streamSupervisor.isBusy(streamName));
+    if (streamNames.length === 0) return [];
+    return Camera.find({ streamName: { $in: streamNames }, active: true, ...filter });
+  }
+
+  /**
+   * Store a camera's new step, record it and restart the stream with the matching encoding
+   */
+  async applyLevel(camera, level, reason, load) {
+    const from = camera.degradation ? camera.degradation.level || 0 : 0;
+    camera.degradation = { level, changedAt: new Date(), reason };
+    await camera.save();
+
+    const encoding = camera.getStreamOptions().encoding;
+    const quality = `${encoding.height ? `${encoding.height}p` : 'source size'}, ${encoding.fps || 'source'} fps, ${encoding.videoBitrate}`;
+    const reduced = level > from;
+    const message = reduced
+      ? `Quality reduced to step ${level} (${quality}) - ${reason}`
+      : `Quality ${level === 0 ? 'restored to the configured profile' : `raised to step ${level}`} (${quality}) - ${reason}`;
+
+    console.log(`[Governor] ${reduced ? '📉' : '📈'} ${camera.streamName}: ${message}`);
+    this.lastChange = { streamName: camera.streamName, from, to: level, reason, at: new Date() };
+
+    await StreamEvent.record({
+      streamName: camera.streamName,
+      cameraId: camera._id,
+      workspaceId: camera.workspaceId,
+      type: reduced ? 'quality_reduced' : 'quality_restored',
+      message,
+      details: {
+        from,
+        to: level,
+        priority: camera.priority,
+        cpuPercent: load.cpuPercent,
+        slowStreams: load.slowStreams,
+        height: encoding.height,
+        fps: encoding.fps,
+        videoBitrate: encoding.videoBitrate
+      }
+    });
+
+    await streamSupervisor.applySettings(camera.streamName, `load governor step ${from} -> ${level}`);
+  }
+
+  /**
+   * Governor state for /health
+   */
+  getStatus() {
+    return {
+      enabled: config.governor.enabled,
+      cpuPercent: this.lastLoad ? this.lastLoad.cpuPercent : null,
+      slowStreams: this.lastLoad ? this.lastLoad.slowStreams.map(stream => stream.streamName) : [],
+      checkedAt: this.lastLoad ? this.lastLoad.checkedAt : null,
+      lastChange: this.lastChange
+    };
+  }
+}
+
+/**
+ * Idle and total CPU time of the host, summed over all cores
+ */
+function readCpuTimes() {
+  let idle = 0;
+  let total = 0;
+  for (const cpu of os.cpus()) {
+    for (const [type, time] of Object.entries(cpu.times)) {
+      total += time;
+      if (type === 'idle') idle += time;
+    }
+  }
+  return { idle, total };
+}
+
+/**
+ * Average CPU of a camera's process (see FFmpegManager#sampleResources)
+ */
+function cpuOf(camera) {
+  const resources = ffmpegManager.getStreamResources(camera.streamName);
+  return resources ? resources.cpuPercentAvg || resources.cpuPercent || 0 : 0;
+}
+
+function describeLoad(load) {
+  const parts = [`host CPU ${load.cpuPercent}%`];
+  if (load.slowStreams.length > 0) {
+    parts.push(`${load.slowStreams.length} stream(s) below ${config.governor.minSpeed}x`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = new LoadGovernor();
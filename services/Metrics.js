@@ -0,0 +1,153 @@
+const config = require('../config');
+const Camera = require('../models/Camera');
+const { CONTENT_TYPE, Counter, Gauge, Histogram, Registry } = require('../utils/prometheus');
+
+const PREFIX = 'thabir_';
+// API callers may wait up to config.readiness.maxWait for a stream to come up
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const CHECK_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics served on GET /metrics
+ * Counters and histograms are updated where things happen (FFmpeg exits, supervisor restarts,
+ * monitor checks, MediaMTX verification, HTTP requests); gauges are rebuilt on every scrape by
+ * the collectors services register with addCollector.
+ * Label cardinality: the stream label (one series per stream) and the workspace label can be
+ * turned off with METRICS_STREAM_LABELS=false / METRICS_WORKSPACE_LABEL=false; per-stream gauges
+ * are then not exported and counters are aggregated over the dropped labels.
+ */
+class Metrics {
+  constructor() {
+    this.registry = new Registry();
+    this.collectors = [];
+    this.rendering = null; // in-flight render shared by overlapping scrapes
+    this.contentType = CONTENT_TYPE;
+
+    this.cameras = this.registry.register(new Gauge(`${PREFIX}cameras`,
+      'Cameras by lifecycle state, from the shared database (the same on every node)'));
+    this.streamsRunning = this.registry.register(new Gauge(`${PREFIX}streams_running`,
+      'FFmpeg processes run by this node'));
+    this.streamUp = this.registry.register(new Gauge(`${PREFIX}stream_up`,
+      '1 when the stream is live, 0 while it is starting'));
+    this.streamUptime = this.registry.register(new Gauge(`${PREFIX}stream_uptime_seconds`,
+      'Seconds since the FFmpeg process of the stream started'));
+    this.streamFps = this.registry.register(new Gauge(`${PREFIX}stream_fps`,
+      'Output frame rate reported by FFmpeg'));
+    this.streamBitrate = this.registry.register(new Gauge(`${PREFIX}stream_bitrate_kbps`,
+      'Output bitrate reported by FFmpeg in kbit/s'));
+    this.streamSpeed = this.registry.register(new Gauge(`${PREFIX}stream_speed`,
+      'Processing speed reported by FFmpeg (1 = real time)'));
+    this.ffmpegExits = this.registry.register(new Counter(`${PREFIX}ffmpeg_exits_total`,
+      'FFmpeg processes that exited without being stopped, by exit reason'));
+    this.streamRestarts = this.registry.register(new Counter(`${PREFIX}stream_restarts_total`,
+      'Streams started again by the supervisor, by trigger (retry, recovery, watchdog, settings)'));
+    this.mediamtxVerificationFailures = this.registry.register(new Counter(`${PREFIX}mediamtx_verification_failures_total`,
+      'Streams MediaMTX did not confirm: path not ready before the readiness timeout (api) or HLS manifest unreachable (hls)'));
+    this.monitorCheckDuration = this.registry.register(new Histogram(`${PREFIX}monitor_check_duration_seconds`,
+      'Duration of the stream monitor status check', CHECK_BUCKETS));
+    this.httpRequestDuration = this.registry.register(new Histogram(`${PREFIX}http_request_duration_seconds`,
+      'HTTP request latency by method, route and status', HTTP_BUCKETS));
+
+    this.addCollector(() => this.collectCameras());
+  }
+
+  /**
+   * Register a function that sets gauges before each scrape (may be async)
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Labels identifying a stream, reduced to the configured cardinality
+   * @param {string} streamName
+   * @param {string} [workspaceId]
+   * @returns {Object}
+   */
+  streamLabels(streamName, workspaceId) {
+    const labels = {};
+    if (config.metrics.workspaceLabel) labels.workspace = workspaceId || '';
+    if (config.metrics.streamLabels) labels.stream = streamName;
+    return labels;
+  }
+
+  /**
+   * Rebuild the gauges and render all metrics in the text format
+   * Overlapping scrapes share one render, so gauges are never reset under a running collector.
+   * A failing collector is logged and leaves its gauges empty; the scrape still succeeds.
+   */
+  render() {
+    if (!this.rendering) {
+      this.rendering = this.collect().finally(() => {
+        this.rendering = null;
+      });
+    }
+    return this.rendering;
+  }
+
+  /**
+   * Reset the gauges, run the collectors and render
+   */
+  async collect() {
+    for (const metric of this.registry.metrics) {
+      if (metric instanceof Gauge) metric.reset();
+    }
+
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        console.error('[Metrics] ❌ Collector failed:', error.message);
+      }
+    }
+
+    return this.registry.render();
+  }
+
+  /**
+   * Cameras grouped by state (and workspace)
+   */
+  async collectCameras() {
+    const groupBy = { state: '$state' };
+    if (config.metrics.workspaceLabel) groupBy.workspace = '$workspaceId';
+
+    const groups = await Camera.aggregate([{ $group: { _id: groupBy, count: { $sum: 1 } } }]);
+
+    // Cameras without a stored state count as idle and share its series
+    const counts = new Map();
+    for (const { _id, count } of groups) {
+      const labels = { state: _id.state || 'idle' };
+      if (config.metrics.workspaceLabel) labels.workspace = _id.workspace || '';
+      const key = JSON.stringify(labels);
+      const entry = counts.get(key) || { labels, count: 0 };
+      entry.count += count;
+      counts.set(key, entry);
+    }
+    for (const { labels, count } of counts.values()) {
+      this.cameras.set(labels, count);
+    }
+  }
+
+  /**
+   * Express middleware timing every request
+   * Routes are labelled by their pattern (/api/camera/:id/start), never by the raw URL.
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const end = this.httpRequestDuration.startTimer();
+      res.on('finish', () => {
+        end({ method: req.method, route: routeOf(req), status: String(res.statusCode) });
+      });
+      next();
+    };
+  }
+}
+
+/**
+ * Route pattern of a handled request; requests no route matched share one label
+ */
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,140 @@
+const path = require('path');
+const config = require('../config');
+const Camera = require('../models/Camera');
+const StreamEvent = require('../models/StreamEvent');
+const procfs = require('../utils/procfs');
+const ffmpegManager = require('./FFmpegManager');
+const leaseManager = require('./LeaseManager');
+
+const KILL_GRACE_MS = 3000;
+
+/**
+ * Startup reconciliation of FFmpeg processes left behind by a previous run
+ * After a hard crash (no graceful shutdown) old FFmpeg children may still publish to MediaMTX,
+ * which makes the restored processes fail with "path busy" or run as duplicate publishers.
+ * Runs after streams were re-attached to detached workers (FFmpegManager#adoptWorkers).
+ * Every other processId stored on a camera is looked up in /proc: FFmpeg processes still pushing to
+ * the camera's MediaMTX path are killed, anything else under that PID is left alone and logged.
+ */
+class OrphanReaper {
+  /**
+   * Check every stored processId - run before streams are restored
+   * @returns {Promise<Object>} { checked, killed, gone, foreign }
+   */
+  async reconcile() {
+    const summary = { checked: 0, killed: 0, gone: 0, foreign: 0 };
+
+    if (!procfs.isSupported()) {
+      console.log('[Orphans] ℹ️ /proc not available - skipping orphaned process check');
+      return summary;
+    }
+
+    // Streams re-attached to detached workers are ours; PIDs of other nodes mean nothing here
+    const cameras = await Camera.find(
+      { processId: { $ne: null }, streamName: { $nin: ffmpegManager.getActiveStreams() }, ...leaseManager.ownedOrFreeFilter() },
+      { streamName: 1, processId: 1, workspaceId: 1 }
+    );
+
+    for (const camera of cameras) {
+      const pid = camera.processId;
+      summary.checked++;
+
+      if (pid === process.pid) {
+        summary.foreign++;
+        continue;
+      }
+
+      const argv = procfs.readCmdline(pid);
+      if (!argv) {
+        summary.gone++;
+        continue;
+      }
+
+      if (!this.isPublisherOf(argv, camera.streamName)) {
+        summary.foreign++;
+        console.log(`[Orphans] ℹ️ PID ${pid} stored for ${camera.streamName} now belongs to another process (${path.basename(argv[0])}) - left alone`);
+        continue;
+      }
+
+      console.warn(`[Orphans] ⚠️ FFmpeg PID ${pid} from a previous run is still publishing ${camera.streamName} - killing it`);
+      const killed = await this.kill(pid);
+      if (killed) summary.killed++;
+
+      await StreamEvent.record({
+        streamName: camera.streamName,
+        cameraId: camera._id,
+        workspaceId: camera.workspaceId,
+        type: 'orphan_killed',
+        message: killed
+          ? `Killed FFmpeg process ${pid} left running by a previous server run`
+          : `Could not kill FFmpeg process ${pid} left running by a previous server run`,
+        details: { pid, killed }
+      });
+    }
+
+    if (cameras.length > 0) {
+      await Camera.updateMany(
+        { _id: { $in: cameras.map(camera => camera._id) } },
+        { streaming: false, processId: null }
+      );
+    }
+
+    console.log(`[Orphans] ✅ Checked ${summary.checked} stored PID(s): ${summary.killed} orphan(s) killed, ${summary.gone} gone, ${summary.foreign} reused by other processes`);
+    return summary;
+  }
+
+  /**
+   * Whether a command line is an FFmpeg process pushing to the stream's MediaMTX path
+   * (the main path or one of its ABR renditions). Credentials in the URL are ignored.
+   */
+  isPublisherOf(argv, streamName) {
+    const binary = path.basename(argv[0]);
+    if (binary !== path.basename(config.ffmpeg.path) && !binary.includes('ffmpeg')) {
+      return false;
+    }
+
+    const target = stripCredentials(`${config.mediamtx.getPushBase()}/${streamName}`);
+    return argv.slice(1).some(arg => {
+      const url = stripCredentials(arg);
+      return url === target || url.startsWith(`${target}_`);
+    });
+  }
+
+  /**
+   * SIGTERM a process that is not our child, SIGKILL it if it is still alive after the grace period
+   * @returns {Promise<boolean>} Whether the process is gone
+   */
+  async kill(pid) {
+    try {
+      process.kill(pid, 'SIGTERM');
+    } catch (error) {
+      if (error.code === 'ESRCH') return true;
+      console.error(`[Orphans] ❌ Cannot signal PID ${pid}:`, error.message);
+      return false;
+    }
+
+    const deadline = Date.now() + KILL_GRACE_MS;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      if (!procfs.isAlive(pid)) return true;
+    }
+
+    try {
+      process.kill(pid, 'SIGKILL');
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return !procfs.isAlive(pid);
+  }
+}
+
+/**
+ * Remove user:pass@ from a URL
+ */
+function stripCredentials(url) {
+  return url.replace(/^(\w+:\/\/)[^/@]*@/, '$1');
+}
+
+module.exports = new OrphanReaper();
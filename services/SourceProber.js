@@ -0,0 +1,199 @@
+const { spawn } = require('child_process');
+const config = require('../config');
+const { redactText } = require('../utils/credentials');
+
+// Seconds of packets read in detailed mode to measure GOP and bitrate
+const DETAILED_READ_SECONDS = 6;
+
+class SourceProber {
+  /**
+   * Probe an RTSP source with ffprobe
+   * @param {string} rtspSource - Source RTSP URL (with credentials, never logged as-is)
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {boolean} [options.detailed] - Also read a few seconds of packets to measure GOP and bitrate
+   * @returns {Promise<Object>} Probe result - never rejects, unreachable sources resolve with reachable=false
+   */
+  async probe(rtspSource, options = {}) {
+    const detailed = !!options.detailed;
+    const timeout = (options.timeout || config.ffmpeg.probeTimeout) +
+      (detailed ? DETAILED_READ_SECONDS * 1000 : 0);
+    const startedAt = Date.now();
+
+    const args = [
+      '-v', 'error',
+      '-rtsp_transport', 'tcp',
+      '-print_format', 'json',
+      '-show_streams',
+      '-show_format'
+    ];
+
+    if (detailed) {
+      args.push(
+        '-show_entries', 'packet=stream_index,pts_time,size,flags',
+        '-read_intervals', `%+${DETAILED_READ_SECONDS}`
+      );
+    }
+
+    args.push(rtspSource);
+
+    return new Promise((resolve) => {
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({
+          ...result,
+          probedAt: new Date(),
+          durationMs: Date.now() - startedAt
+        });
+      };
+
+      const probeProcess = spawn(config.ffmpeg.probePath, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          probeProcess.kill('SIGKILL');
+        } catch (err) {
+          // Process already dead
+        }
+      }, timeout);
+
+      probeProcess.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      probeProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      probeProcess.on('error', (error) => {
+        finish({
+          reachable: false,
+          error: `ffprobe could not be started: ${error.message}`
+        });
+      });
+
+      probeProcess.on('close', (code) => {
+        if (timedOut) {
+          return finish({
+            reachable: false,
+            error: `Probe timed out after ${timeout / 1000}s`
+          });
+        }
+
+        if (code !== 0) {
+          return finish({
+            reachable: false,
+            error: redactText(stderr.trim()) || `ffprobe exited with code ${code}`
+          });
+        }
+
+        try {
+          finish(this.parseProbeOutput(JSON.parse(stdout)));
+        } catch (error) {
+          finish({
+            reachable: false,
+            error: `Could not parse ffprobe output: ${error.message}`
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Turn ffprobe JSON into the structured probe result
+   */
+  parseProbeOutput(data) {
+    const streams = data.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+
+    if (!video) {
+      return {
+        reachable: true,
+        hasVideo: false,
+        hasAudio: !!audio,
+        audioCodec: audio ? audio.codec_name : null,
+        error: 'Source has no video stream'
+      };
+    }
+
+    const packetStats = this.analyzePackets(data.packets, video.index);
+    const declaredBitrate = parseInt(video.bit_rate) || null;
+
+    return {
+      reachable: true,
+      hasVideo: true,
+      codec: video.codec_name || null,
+      profile: video.profile || null,
+      level: video.level !== undefined ? video.level : null,
+      pixelFormat: video.pix_fmt || null,
+      width: video.width || null,
+      height: video.height || null,
+      resolution: video.width && video.height ? `${video.width}x${video.height}` : null,
+      frameRate: this.parseFrameRate(video.avg_frame_rate) || this.parseFrameRate(video.r_frame_rate),
+      gop: packetStats.gop,
+      bitrate: declaredBitrate || packetStats.bitrate,
+      hasAudio: !!audio,
+      audioCodec: audio ? audio.codec_name : null,
+      audioSampleRate: audio && audio.sample_rate ? parseInt(audio.sample_rate) : null,
+      audioChannels: audio ? audio.channels || null : null
+    };
+  }
+
+  /**
+   * Measure GOP length (frames between keyframes) and bitrate (bits/s) from video packets
+   * Returns nulls when packets were not requested or the sample is too short
+   */
+  analyzePackets(packets, videoIndex) {
+    const result = { gop: null, bitrate: null };
+    if (!Array.isArray(packets)) return result;
+
+    const videoPackets = packets.filter(packet => packet.stream_index === videoIndex);
+    if (videoPackets.length < 2) return result;
+
+    // GOP: average distance between consecutive keyframes
+    const keyframePositions = [];
+    videoPackets.forEach((packet, position) => {
+      if (packet.flags && packet.flags.startsWith('K')) {
+        keyframePositions.push(position);
+      }
+    });
+    if (keyframePositions.length >= 2) {
+      const span = keyframePositions[keyframePositions.length - 1] - keyframePositions[0];
+      result.gop = Math.round(span / (keyframePositions.length - 1));
+    }
+
+    // Bitrate: bytes received over the sampled time span
+    const times = videoPackets.map(packet => parseFloat(packet.pts_time)).filter(Number.isFinite);
+    const duration = times.length >= 2 ? Math.max(...times) - Math.min(...times) : 0;
+    if (duration > 0) {
+      const totalBytes = videoPackets.reduce((sum, packet) => sum + (parseInt(packet.size) || 0), 0);
+      result.bitrate = Math.round((totalBytes * 8) / duration);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse ffprobe rates such as "25/1" or "30000/1001"
+   */
+  parseFrameRate(rate) {
+    if (!rate || rate === '0/0') return null;
+    const [num, den] = rate.split('/').map(Number);
+    if (!num || !den) return null;
+    return Math.round((num / den) * 100) / 100;
+  }
+}
+
+module.exports = new SourceProber();
@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Exit records kept per stream
+const MAX_EXITS = 20;
+
+/**
+ * In-memory ring buffer of FFmpeg output and exit history per stream
+ * Lines are optionally appended to <logs.dir>/<streamName>.log as well.
+ * Emits 'line' (streamName, entry) and 'exit' (streamName, exitRecord) for live tails.
+ */
+class StreamLogStore extends EventEmitter {
+  constructor() {
+    super();
+    this.streams = new Map(); // streamName -> { lines, exits, seq, file }
+    this.setMaxListeners(0); // one listener per open SSE tail
+  }
+
+  /**
+   * Get or create the log state of a stream
+   */
+  getState(streamName) {
+    let state = this.streams.get(streamName);
+    if (!state) {
+      state = { lines: [], exits: [], seq: 0, file: null, fileFailed: false };
+      this.streams.set(streamName, state);
+    }
+    return state;
+  }
+
+  /**
+   * Append output to a stream's log
+   * @param {string} streamName
+   * @param {string} source - stdout, stderr or system
+   * @param {string} text - One or more lines, already redacted
+   */
+  append(streamName, source, text) {
+    const state = this.getState(streamName);
+
+    for (const rawLine of String(text).split(/\r?\n|\r/)) {
+      const line = rawLine.trimEnd();
+      if (!line) continue;
+
+      const entry = {
+        seq: ++state.seq,
+        timestamp: new Date().toISOString(),
+        source,
+        line
+      };
+
+      state.lines.push(entry);
+      if (state.lines.length > config.logs.maxLines) {
+        state.lines.shift();
+      }
+
+      this.persist(streamName, state, entry);
+      this.emit('line', streamName, entry);
+    }
+  }
+
+  /**
+   * Record a process exit
+   * @param {string} streamName
+   * @param {Object} exit - { pid, code, signal, uptimeMs, stopRequested }
+   */
+  recordExit(streamName, exit) {
+    const state = this.getState(streamName);
+    const record = { ...exit, timestamp: new Date().toISOString() };
+
+    state.exits.push(record);
+    if (state.exits.length > MAX_EXITS) {
+      state.exits.shift();
+    }
+
+    this.append(streamName, 'system', `Process ${exit.pid} exited with code ${exit.code}, signal ${exit.signal}`);
+    this.emit('exit', streamName, record);
+    return record;
+  }
+
+  /**
+   * Buffered lines of a stream, oldest first
+   * @param {string} streamName
+   * @param {Object} [options]
+   * @param {number|Date} [options.since] - Sequence number or time; only later lines are returned
+   * @param {number} [options.limit] - Most recent lines to return
+   */
+  getLines(streamName, { since, limit } = {}) {
+    const state = this.streams.get(streamName);
+    if (!state) return [];
+
+    let lines = state.lines;
+    if (since instanceof Date) {
+      lines = lines.filter(entry => new Date(entry.timestamp) > since);
+    } else if (Number.isInteger(since)) {
+      lines = lines.filter(entry => entry.seq > since);
+    }
+
+    return limit ? lines.slice(-limit) : lines.slice();
+  }
+
+  /**
+   * Sequence number of the newest line of a stream (0 when empty)
+   */
+  lastSeq(streamName) {
+    const state = this.streams.get(streamName);
+    return state ? state.seq : 0;
+  }
+
+  /**
+   * Exit history of a stream, oldest first
+   */
+  getExits(streamName) {
+    const state = this.streams.get(streamName);
+    return state ? state.exits.slice() : [];
+  }
+
+  /**
+   * Drop a stream's logs (camera deleted)
+   */
+  clear(streamName) {
+    const state = this.streams.get(streamName);
+    if (state && state.file) {
+      state.file.end();
+    }
+    this.streams.delete(streamName);
+  }
+
+  /**
+   * Append an entry to the stream's log file when persistence is on
+   */
+  persist(streamName, state, entry) {
+    if (!config.logs.dir || state.fileFailed) return;
+
+    if (!state.file) {
+      try {
+        fs.mkdirSync(config.logs.dir, { recursive: true });
+        state.file = fs.createWriteStream(path.join(config.logs.dir, `${streamName}.log`), { flags: 'a' });
+        state.file.on('error', (error) => {
+          console.error(`[Logs] ❌ Cannot write log file for ${streamName}:`, error.message);
+        });
+      } catch (error) {
+        console.error(`[Logs] ❌ Cannot open log file for ${streamName}:`, error.message);
+        state.fileFailed = true;
+        return;
+      }
+    }
+
+    state.file.write(`${entry.timestamp} [${entry.source}] ${entry.line}\n`);
+  }
+}
+
+module.exports = new StreamLogStore();
@@ -1,11 +1,20 @@
-const cron = require('node-cron');
+const config = require('../config');
 const Camera = require('../models/Camera');
+const StreamEvent = require('../models/StreamEvent');
 const ffmpegManager = require('./FFmpegManager');
+const streamSupervisor = require('./StreamSupervisor');
+const leaseManager = require('./LeaseManager');
+const capacityManager = require('./CapacityManager');
+const loadGovernor = require('./LoadGovernor');
+const metrics = require('./Metrics');
+const { redactUrl } = require('../utils/credentials');
 
 class StreamMonitor {
   constructor() {
     this.isRunning = false;
-    this.cronJob = null;
+    this.isChecking = false;
+    this.checkTimer = null;
+    this.watchdogTimer = null;
   }
 
   /**
@@ -20,10 +29,8 @@ class StreamMonitor {
     this.isRunning = true;
     console.log('[Monitor] Starting stream monitor...');
 
-    // Check every 15 seconds
-    this.cronJob = cron.schedule('*/15 * * * * *', async () => {
-      await this.checkAllStreams();
-    });
+    // Fixed period from start(); a check still running when the next one is due is skipped, not stacked
+    this.checkTimer = setInterval(() => this.checkAllStreams(), config.monitor.interval * 1000);
 
     // Initial check after 20 seconds (give time for restore to complete)
     setTimeout(() => {
@@ -31,27 +38,64 @@ class StreamMonitor {
       this.checkAllStreams();
     }, 20000);
     
-    console.log('[Monitor] ✅ Monitoring scheduled - checking every 15 seconds');
+    console.log(`[Monitor] ✅ Monitoring scheduled - checking every ${config.monitor.interval} seconds`);
+
+    // Restarts (backoff, circuit breaker) are owned by the supervisor
+    streamSupervisor.start();
+
+    // Stall watchdog: a live PID is not enough, frames must keep coming
+    if (config.watchdog.enabled) {
+      this.watchdogTimer = setInterval(() => {
+        this.checkForStalls();
+      }, config.watchdog.interval);
+      console.log(`[Monitor] ✅ Stall watchdog enabled - restarting streams silent for ${config.watchdog.stallTimeout / 1000}s`);
+    }
+
+    // CPU and memory per FFmpeg process
+    if (ffmpegManager.startResourceSampling()) {
+      console.log(`[Monitor] ✅ Sampling FFmpeg CPU and memory every ${config.resources.interval / 1000}s`);
+    }
+
+    // Optional: trade quality of low-priority cameras for headroom while the node is overloaded
+    if (loadGovernor.start()) {
+      console.log(`[Monitor] ✅ Load governor enabled - degrading low-priority cameras above ${config.governor.highCpu}% CPU or below ${config.governor.minSpeed}x speed`);
+    }
   }
 
   /**
    * Stop monitoring
    */
   stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
     }
+    streamSupervisor.stop();
+    ffmpegManager.stopResourceSampling();
+    loadGovernor.stop();
     this.isRunning = false;
     console.log('[Monitor] Stopped');
   }
 
   /**
-   * Check all active cameras and restart if needed
+   * Sync the streaming status of the active cameras this node runs (or nobody runs) with the running processes
+   * Streams that are down are restarted by the supervisor, not here. lastChecked is written for all
+   * cameras in one update; a camera document is only saved when its status changed.
    */
   async checkAllStreams() {
+    if (this.isChecking) {
+      console.log('[Monitor] ⏭️ Previous check still running - skipping this one');
+      return;
+    }
+    this.isChecking = true;
+
+    const endTimer = metrics.monitorCheckDuration.startTimer();
     try {
-      const cameras = await Camera.find({ active: true });
+      const cameras = await Camera.find({ active: true, ...leaseManager.ownedOrFreeFilter() });
       
       if (cameras.length === 0) {
         console.log(`[Monitor] No active cameras found`);
@@ -61,78 +105,90 @@ class StreamMonitor {
       console.log(`[Monitor] 🔍 Checking ${cameras.length} active cameras...`);
       
       let runningCount = 0;
-      let restartedCount = 0;
+      let downCount = 0;
       
       for (const camera of cameras) {
         const isRunning = ffmpegManager.isStreamRunning(camera.streamName);
         const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
         
-        // Update last checked time
-        camera.lastChecked = Date.now();
-        
-        if (!isRunning && camera.active) {
-          // Stream should be running but isn't - RESTART IMMEDIATELY
-          console.log(`[Monitor] ⚠️ Stream ${camera.streamName} is DOWN - restarting immediately...`);
-          console.log(`[Monitor] Camera DB state - streaming: ${camera.streaming}, processId: ${camera.processId}`);
-          
-          try {
-            // Force restart
-            await ffmpegManager.startStream(camera.rtspUrl, camera.streamName);
-            console.log(`[Monitor] ✅ Stream ${camera.streamName} restart initiated`);
-            restartedCount++;
-            
-            // Wait for stream to stabilize
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            // Re-check if stream is actually running now
-            const isNowRunning = ffmpegManager.isStreamRunning(camera.streamName);
-            const newProcessInfo = ffmpegManager.getProcessInfo(camera.streamName);
-            
-            if (isNowRunning && newProcessInfo) {
-              camera.streaming = true;
-              camera.processId = newProcessInfo.process.pid;
-              runningCount++;
-              console.log(`[Monitor] ✅ Stream ${camera.streamName} verified running with PID ${newProcessInfo.process.pid}`);
-            } else {
-              camera.streaming = false;
-              camera.processId = null;
-              console.log(`[Monitor] ⚠️ Stream ${camera.streamName} restart initiated but not yet verified`);
-            }
-          } catch (error) {
-            console.error(`[Monitor] ❌ Failed to restart ${camera.streamName}:`, error.message);
-            camera.streaming = false;
-            camera.processId = null;
-          }
-        } else if (isRunning && processInfo) {
+        if (isRunning && processInfo) {
           // Stream is running - verify and update status
           runningCount++;
-          if (!camera.streaming || camera.processId !== processInfo.process.pid) {
+          if (processInfo.isValidated && (!camera.streaming || camera.processId !== processInfo.process.pid)) {
             console.log(`[Monitor] 🔄 Updating status for ${camera.streamName}`);
             console.log(`[Monitor]    Was: streaming=${camera.streaming}, processId=${camera.processId}`);
             camera.streaming = true;
             camera.processId = processInfo.process.pid;
             console.log(`[Monitor]    Now: streaming=true, processId=${processInfo.process.pid}`);
           }
-        } else if (!isRunning && !camera.active) {
-          // Camera is inactive and stream is not running - expected state
+        } else {
+          downCount++;
           if (camera.streaming) {
             camera.streaming = false;
             camera.processId = null;
-            console.log(`[Monitor] 🔄 Updating inactive camera ${camera.streamName} status to not streaming`);
           }
+          const restart = camera.restartState || {};
+          const plan = restart.circuitOpen
+            ? 'parked, next re-probe'
+            : 'supervisor restart';
+          console.log(`[Monitor] ⚠️ Stream ${camera.streamName} is DOWN (${streamSupervisor.isBusy(camera.streamName) ? 'being handled' : `${plan} ${restart.nextRetryAt ? 'at ' + restart.nextRetryAt.toISOString() : 'pending'}`})`);
         }
         
-        await camera.save();
+        if (camera.isModified()) {
+          await camera.save();
+        }
       }
+
+      await Camera.updateMany(
+        { _id: { $in: cameras.map(camera => camera._id) } },
+        { $set: { lastChecked: Date.now() } }
+      );
       
       const activeStreams = ffmpegManager.getActiveStreams();
-      console.log(`[Monitor] ✅ Check completed - Running: ${runningCount}/${cameras.length}, Restarted: ${restartedCount}`);
+      console.log(`[Monitor] ✅ Check completed - Running: ${runningCount}/${cameras.length}, Down: ${downCount}`);
       console.log(`[Monitor] Active streams: [${activeStreams.join(', ')}]`);
     } catch (error) {
       console.error('[Monitor] ❌ Error checking streams:', error.message);
+    } finally {
+      endTimer();
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Kill and restart streams whose FFmpeg process is alive but no longer produces frames
+   */
+  checkForStalls() {
+    const stalled = ffmpegManager.getStalledStreams(config.watchdog.stallTimeout, config.watchdog.startupGrace);
+
+    for (const stall of stalled) {
+      if (streamSupervisor.isBusy(stall.streamName)) continue;
+      // Not awaited - each stalled stream restarts independently
+      this.restartStalledStream(stall);
     }
   }
 
+  /**
+   * Record a stall event and have the supervisor restart the stream
+   */
+  async restartStalledStream({ streamName, pid, silenceMs, lastFrameAt }) {
+    ffmpegManager.markStalled(streamName);
+    console.log(`[Monitor] 🧊 Stream ${streamName} STALLED - no frames for ${Math.round(silenceMs / 1000)}s (PID ${pid}), restarting...`);
+
+    await StreamEvent.record({
+      streamName,
+      type: 'stalled',
+      message: `No frames for ${Math.round(silenceMs / 1000)}s - process killed and restarted`,
+      details: {
+        pid,
+        silenceMs,
+        lastFrameAt: lastFrameAt ? new Date(lastFrameAt) : null
+      }
+    });
+
+    await streamSupervisor.restartNow(streamName, 'stalled');
+  }
+
   /**
    * Restore all active streams on server start
    * This ensures 24/7 streaming - cameras restart when server restarts
@@ -145,9 +201,9 @@ class StreamMonitor {
     console.log('[Monitor] 🔄 ========================================');
     
     try {
-      // First, mark all cameras as not streaming (clean state)
+      // First, mark all cameras as not streaming (clean state) - except streams re-attached to detached workers
       await Camera.updateMany(
-        { active: true },
+        { active: true, streamName: { $nin: ffmpegManager.getActiveStreams() }, ...leaseManager.ownedOrFreeFilter() },
         { 
           streaming: false,
           processId: null
@@ -155,7 +211,8 @@ class StreamMonitor {
       );
       console.log('[Monitor] 🧹 Cleaned up database state - ready for restoration');
 
-      const cameras = await Camera.find({ active: true });
+      // Cameras leased to other live nodes are theirs
+      const cameras = await Camera.find({ active: true, ...leaseManager.claimableFilter() });
       console.log(`[Monitor] Found ${cameras.length} active cameras to restore`);
 
       if (cameras.length === 0) {
@@ -164,106 +221,22 @@ class StreamMonitor {
         return;
       }
 
-      let successCount = 0;
-      let failedCount = 0;
-
-      for (const camera of cameras) {
-        try {
-          console.log(`\n[Monitor] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-          console.log(`[Monitor] 🔄 Restoring: ${camera.streamName}`);
-          console.log(`[Monitor] 📹 RTSP: ${camera.rtspUrl}`);
-          console.log(`[Monitor] 📍 Location: ${camera.location || 'N/A'}`);
-          
-          // Check if already running (shouldn't be on fresh start, but just in case)
-          if (ffmpegManager.isStreamRunning(camera.streamName)) {
-            console.log(`[Monitor] ℹ️ Stream ${camera.streamName} already running`);
-            const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
-            if (processInfo) {
-              camera.streaming = true;
-              camera.processId = processInfo.process.pid;
-              await camera.save();
-              successCount++;
-              console.log(`[Monitor] ✅ Verified PID: ${processInfo.process.pid}`);
-            }
-            continue;
-          }
-
-          // Start the stream - this will restore the video link automatically
-          console.log(`[Monitor] 🚀 Starting FFmpeg process to restore video link...`);
-          console.log(`[Monitor] 📺 Video link will be: ${ffmpegManager.getPublicUrl(camera.streamName)}`);
-          
-          try {
-            await ffmpegManager.startStream(camera.rtspUrl, camera.streamName);
-            console.log(`[Monitor] ⏳ Waiting for stream to stabilize and verify MediaMTX availability...`);
-            
-            // Wait for stream to stabilize and verify it's available on MediaMTX
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            
-            // Verify stream is actually running
-            const isRunning = ffmpegManager.isStreamRunning(camera.streamName);
-            const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
-            
-            if (isRunning && processInfo) {
-              camera.streaming = true;
-              camera.processId = processInfo.process.pid;
-              camera.publicUrl = ffmpegManager.getPublicUrl(camera.streamName);
-              camera.iceCastUrl = camera.publicUrl;
-              camera.lastChecked = Date.now();
-              await camera.save();
-              successCount++;
-              console.log(`[Monitor] ✅ SUCCESS - Stream ${camera.streamName} running with PID ${processInfo.process.pid}`);
-              console.log(`[Monitor] 🌐 Public URL: ${camera.publicUrl}`);
-              console.log(`[Monitor] 📺 HLS: ${camera.publicUrl}/index.m3u8`);
-              console.log(`[Monitor] ✅ Video link restored and ready for all devices (mobile, network, etc.)`);
-              
-              // Optional: Verify stream availability on MediaMTX (non-blocking)
-              ffmpegManager.verifyStreamAvailability(camera.streamName, 2, 3000).then((isAvailable) => {
-                if (isAvailable) {
-                  console.log(`[Monitor] ✅ Stream ${camera.streamName} verified available on MediaMTX`);
-                } else {
-                  console.log(`[Monitor] 💡 Stream ${camera.streamName} may still be initializing on MediaMTX`);
-                }
-              }).catch(() => {
-                // Verification failed but stream is running
-                console.log(`[Monitor] 💡 Stream ${camera.streamName} verification pending - stream is running`);
-              });
-            } else {
-              camera.streaming = false;
-              camera.processId = null;
-              camera.lastChecked = Date.now();
-              await camera.save();
-              failedCount++;
-              console.log(`[Monitor] ⚠️ WARNING - Stream ${camera.streamName} started but not verified`);
-              console.log(`[Monitor] 💡 Will retry in next monitoring cycle (15 seconds)`);
-            }
-          } catch (streamError) {
-            console.error(`[Monitor] ❌ Error starting stream:`, streamError.message);
-            camera.streaming = false;
-            camera.processId = null;
-            camera.lastChecked = Date.now();
-            await camera.save();
-            failedCount++;
-          }
-          
-          // Small delay between camera starts to avoid overwhelming system
-          await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced from 2s to 1s for faster restoration
-          
-        } catch (error) {
-          console.error(`[Monitor] ❌ FAILED to restore ${camera.streamName}:`, error.message);
-          camera.streaming = false;
-          camera.processId = null;
-          camera.lastChecked = Date.now();
-          await camera.save();
-          failedCount++;
-        }
-      }
+      // Started together - the capacity manager's start queue decides how many come up at once
+      const results = await Promise.all(cameras.map(camera => this.restoreCamera(camera)));
+      const count = (result) => results.filter(entry => entry === result).length;
+      const successCount = count('restored');
+      const failedCount = count('failed');
+      const deferredCount = count('deferred');
 
       console.log(`\n[Monitor] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
       console.log(`[Monitor] ✅ RESTORATION COMPLETED`);
       console.log(`[Monitor] 📊 Success: ${successCount}/${cameras.length}`);
       console.log(`[Monitor] ❌ Failed: ${failedCount}/${cameras.length}`);
+      if (deferredCount > 0) {
+        console.log(`[Monitor] ⏸️ Waiting for capacity: ${deferredCount}/${cameras.length} (${capacityManager.describeLoad()})`);
+      }
       console.log(`[Monitor] 📺 Active streams: ${ffmpegManager.getActiveStreams().length}`);
-      console.log(`[Monitor] 🔄 Monitoring will auto-restart failed streams every 15 seconds`);
+      console.log(`[Monitor] 🔄 The supervisor restarts failed streams according to each camera's restart policy`);
       console.log(`[Monitor] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
       
       // List all active streams
@@ -278,6 +251,98 @@ class StreamMonitor {
     }
   }
 
+  /**
+   * Restore one camera's stream on server start
+   * @returns {Promise<string>} restored, failed, deferred (no capacity on this node) or skipped
+   */
+  async restoreCamera(camera) {
+    try {
+      console.log(`[Monitor] 🔄 Restoring: ${camera.streamName} (RTSP: ${redactUrl(camera.rtspUrl)}, location: ${camera.location || 'N/A'})`);
+
+      // Parked by the circuit breaker before the restart - the supervisor re-probes it
+      if (camera.restartState && camera.restartState.circuitOpen) {
+        console.log(`[Monitor] 🛑 ${camera.streamName} is parked after repeated failures - skipping`);
+        return 'skipped';
+      }
+
+      // Already running (re-attached worker, shouldn't be the case otherwise)
+      if (ffmpegManager.isStreamRunning(camera.streamName)) {
+        const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
+        if (!processInfo || !(await streamSupervisor.claim(camera))) return 'skipped';
+        console.log(`[Monitor] ℹ️ Stream ${camera.streamName} already running`);
+        camera.streaming = true;
+        camera.processId = processInfo.process.pid;
+        await camera.save();
+        console.log(`[Monitor] ✅ Verified PID: ${processInfo.process.pid}`);
+        return 'restored';
+      }
+
+      // Leave cameras this node cannot fit to nodes with room
+      if (!capacityManager.hasRoom(streamSupervisor.estimateCost(camera))) {
+        console.log(`[Monitor] ⏸️ ${camera.streamName} left for later - node at capacity`);
+        return 'deferred';
+      }
+
+      if (!(await streamSupervisor.claim(camera))) {
+        console.log(`[Monitor] 🔀 ${camera.streamName} was leased by another node - skipping`);
+        return 'skipped';
+      }
+
+      console.log(`[Monitor] 🚀 Starting FFmpeg process to restore video link: ${ffmpegManager.getPublicUrl(camera.streamName)}`);
+      await ffmpegManager.startStream(camera.getSourceUrl(), camera.streamName, camera.getStreamOptions());
+      console.log(`[Monitor] ⏳ Waiting for ${camera.streamName} to stabilize and verify MediaMTX availability...`);
+
+      // Wait for stream to stabilize and verify it's available on MediaMTX
+      await new Promise(resolve => setTimeout(resolve, 5000));
+
+      // Verify stream is actually running
+      const isRunning = ffmpegManager.isStreamRunning(camera.streamName);
+      const processInfo = ffmpegManager.getProcessInfo(camera.streamName);
+
+      if (!isRunning || !processInfo) {
+        camera.streaming = false;
+        camera.processId = null;
+        camera.lastChecked = Date.now();
+        await camera.save();
+        console.log(`[Monitor] ⚠️ WARNING - Stream ${camera.streamName} started but not verified`);
+        console.log(`[Monitor] 💡 The supervisor will retry it`);
+        return 'failed';
+      }
+
+      camera.streaming = true;
+      camera.processId = processInfo.process.pid;
+      camera.publicUrl = ffmpegManager.getPublicUrl(camera.streamName);
+      camera.iceCastUrl = camera.publicUrl;
+      camera.lastChecked = Date.now();
+      await camera.save();
+      console.log(`[Monitor] ✅ SUCCESS - Stream ${camera.streamName} running with PID ${processInfo.process.pid}`);
+      console.log(`[Monitor] 📺 HLS: ${camera.publicUrl}/index.m3u8`);
+
+      // Optional: Verify stream availability on MediaMTX (non-blocking)
+      ffmpegManager.verifyStreamAvailability(camera.streamName, 2, 3000).then((isAvailable) => {
+        if (isAvailable) {
+          console.log(`[Monitor] ✅ Stream ${camera.streamName} verified available on MediaMTX`);
+        } else {
+          console.log(`[Monitor] 💡 Stream ${camera.streamName} may still be initializing on MediaMTX`);
+        }
+      }).catch(() => {
+        // Verification failed but stream is running
+        console.log(`[Monitor] 💡 Stream ${camera.streamName} verification pending - stream is running`);
+      });
+      return 'restored';
+    } catch (error) {
+      if (error.code === 'NO_CAPACITY') {
+        return 'deferred';
+      }
+      console.error(`[Monitor] ❌ FAILED to restore ${camera.streamName}:`, error.message);
+      camera.streaming = false;
+      camera.processId = null;
+      camera.lastChecked = Date.now();
+      await camera.save();
+      return 'failed';
+    }
+  }
+
   /**
    * Force refresh status for all cameras from actual process state
    */
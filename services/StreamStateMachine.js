@@ -0,0 +1,125 @@
+const Camera = require('../models/Camera');
+const StreamStateTransition = require('../models/StreamStateTransition');
+const { isLegalTransition } = require('../utils/streamStates');
+const leaseManager = require('./LeaseManager');
+
+/**
+ * Current lifecycle state of every stream
+ * State changes apply in memory immediately; the camera's state field and the
+ * transition history are written in the background, in order per stream.
+ */
+class StreamStateMachine {
+  constructor() {
+    this.states = new Map(); // streamName -> { state, changedAt }
+    this.writes = new Map(); // streamName -> promise of the last persistence write
+  }
+
+  /**
+   * Load persisted states on startup
+   * Live-ish states fall back to idle (inactive cameras to disabled) with the change recorded
+   * as a transition; streams still running under detached workers are re-attached afterwards.
+   * Cameras leased to another live node keep the state that node reports.
+   */
+  async initialize() {
+    const cameras = await Camera.find({}, { streamName: 1, active: 1, state: 1, stateChangedAt: 1, lease: 1 });
+
+    for (const camera of cameras) {
+      this.states.set(camera.streamName, {
+        state: camera.state || 'idle',
+        changedAt: camera.stateChangedAt || null
+      });
+
+      const target = camera.active ? 'idle' : 'disabled';
+      if (camera.state !== target && leaseManager.isClaimable(camera)) {
+        this.transition(camera.streamName, target, 'server restarted');
+      }
+    }
+
+    await Promise.all(this.writes.values());
+    console.log(`[State] ✅ Loaded lifecycle state of ${cameras.length} camera(s)`);
+  }
+
+  /**
+   * Current state of a stream ('idle' when never seen)
+   */
+  getState(streamName) {
+    const entry = this.states.get(streamName);
+    return entry ? entry.state : 'idle';
+  }
+
+  /**
+   * Current state and when it was entered
+   */
+  getStateInfo(streamName) {
+    return this.states.get(streamName) || { state: 'idle', changedAt: null };
+  }
+
+  /**
+   * Move a stream to a new state
+   * Same-state changes are ignored; illegal ones are logged and refused.
+   * @param {string} streamName
+   * @param {string} to - Target state
+   * @param {string} [reason] - Why the state changed
+   * @param {Object} [details] - Extra context stored with the transition
+   * @returns {boolean} Whether the state changed
+   */
+  transition(streamName, to, reason = '', details = {}) {
+    const from = this.getState(streamName);
+    if (from === to) return false;
+
+    if (!isLegalTransition(from, to)) {
+      console.warn(`[State ${streamName}] ⚠️ Ignoring illegal transition ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+      return false;
+    }
+
+    const changedAt = new Date();
+    this.states.set(streamName, { state: to, changedAt });
+    console.log(`[State ${streamName}] ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+
+    const previous = this.writes.get(streamName) || Promise.resolve();
+    const write = previous.then(() => this.persist(streamName, { from, to, reason, details, changedAt }));
+    this.writes.set(streamName, write);
+    write.then(() => {
+      if (this.writes.get(streamName) === write) {
+        this.writes.delete(streamName);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Forget a stream (camera deleted)
+   */
+  forget(streamName) {
+    this.states.delete(streamName);
+  }
+
+  /**
+   * Write a transition to the camera and the history collection. Never throws.
+   */
+  async persist(streamName, { from, to, reason, details, changedAt }) {
+    try {
+      const camera = await Camera.findOneAndUpdate(
+        { streamName },
+        { $set: { state: to, stateChangedAt: changedAt } },
+        { projection: { workspaceId: 1 } }
+      );
+
+      await StreamStateTransition.create({
+        streamName,
+        cameraId: camera ? camera._id : null,
+        workspaceId: camera ? camera.workspaceId : '',
+        from,
+        to,
+        reason,
+        details,
+        createdAt: changedAt
+      });
+    } catch (error) {
+      console.error(`[State ${streamName}] ❌ Failed to persist ${from} -> ${to}:`, error.message);
+    }
+  }
+}
+
+module.exports = new StreamStateMachine();
@@ -0,0 +1,451 @@
+const config = require('../config');
+const Camera = require('../models/Camera');
+const StreamEvent = require('../models/StreamEvent');
+const ffmpegManager = require('./FFmpegManager');
+const sourceProber = require('./SourceProber');
+const streamStateMachine = require('./StreamStateMachine');
+const leaseManager = require('./LeaseManager');
+const capacityManager = require('./CapacityManager');
+const metrics = require('./Metrics');
+const { isLoginFailure } = require('../utils/restartPolicy');
+
+// Restart state of a healthy camera
+const CLEAR_RESTART_STATE = {
+  attempts: 0,
+  nextRetryAt: null,
+  circuitOpen: false,
+  circuitOpenedAt: null,
+  lastFailureReason: ''
+};
+
+/**
+ * Single owner of stream (re)starts
+ * Failed streams back off exponentially; after maxAttempts failures in a row the circuit
+ * breaker parks the camera as failed and its source is re-probed every cooldown until it
+ * answers again. The bookkeeping lives in Camera.restartState so it survives a restart.
+ * Delays and limits come from the camera's restart policy (Camera.restartPolicy over config.restartPolicy).
+ * Only cameras leased to this node are started (see services/LeaseManager.js); leases are renewed here,
+ * and local streams whose camera was deactivated, removed or leased to another node are stopped.
+ * A node at capacity (see services/CapacityManager.js) claims no more cameras and gives up the leases
+ * of cameras it cannot start, so nodes with room take them over.
+ */
+class StreamSupervisor {
+  constructor() {
+    this.timer = null;
+    this.leaseTimer = null;
+    this.isTicking = false;
+    this.inFlight = new Set(); // streamNames being started, restarted or re-probed
+
+    ffmpegManager.on('streamExit', (streamName, exit) => this.handleExit(streamName, exit));
+    ffmpegManager.on('streamReady', (streamName) => this.handleReady(streamName));
+    ffmpegManager.on('streamDeferred', (streamName) => this.handleDeferred(streamName));
+  }
+
+  /**
+   * Start the supervision loop
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), config.supervisor.interval);
+    this.leaseTimer = setInterval(() => this.renewLeases(), config.cluster.renewInterval);
+    console.log(`[Supervisor] ✅ Supervising streams every ${config.supervisor.interval / 1000}s as node ${leaseManager.nodeId}`);
+  }
+
+  /**
+   * Stop the supervision loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+  }
+
+  /**
+   * Whether the supervisor is currently acting on a stream
+   */
+  isBusy(streamName) {
+    return this.inFlight.has(streamName);
+  }
+
+  /**
+   * Restart policy of a camera
+   */
+  getPolicy(camera) {
+    return camera.getRestartPolicy();
+  }
+
+  /**
+   * Delay before restart number `attempts` (1-based)
+   * Lockout-safe cameras never retry faster than lockoutMinDelay.
+   */
+  backoffDelay(policy, attempts) {
+    const delay = Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempts - 1), policy.maxDelay);
+    return policy.lockoutSafe ? Math.max(delay, policy.lockoutMinDelay) : delay;
+  }
+
+  /**
+   * Start every active camera that is not running, whose retry time has come and that this node can lease and fit
+   */
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const cameras = await Camera.find({ active: true, ...leaseManager.claimableFilter() });
+      const now = Date.now();
+      let deferred = 0;
+
+      for (const camera of cameras) {
+        const { streamName } = camera;
+        if (this.inFlight.has(streamName) || ffmpegManager.isStreamRunning(streamName)) continue;
+        if (capacityManager.isAdmitted(streamName)) continue; // queued for a start slot
+
+        const restart = camera.restartState || {};
+        if (restart.nextRetryAt && restart.nextRetryAt.getTime() > now) continue;
+
+        if (!capacityManager.hasRoom(this.estimateCost(camera))) {
+          deferred++;
+          await this.handleDeferred(streamName);
+          continue;
+        }
+
+        if (!(await this.claim(camera))) continue;
+
+        // Not awaited - one slow camera must not hold up the others
+        if (restart.circuitOpen) {
+          this.reprobe(camera);
+        } else {
+          this.startCamera(camera, restart.attempts > 0 ? `retry ${restart.attempts}` : 'not running', restart.attempts > 0 ? 'retry' : null);
+        }
+      }
+
+      if (deferred > 0) {
+        console.log(`[Supervisor] ⏸️ Node at capacity (${capacityManager.describeLoad()}) - ${deferred} camera(s) waiting`);
+      }
+    } catch (error) {
+      console.error('[Supervisor] ❌ Error supervising streams:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Lease a camera to this node before starting it
+   * @returns {Promise<boolean>} false when another node got it first
+   */
+  async claim(camera) {
+    const lease = await leaseManager.acquire(camera.streamName);
+    if (!lease) return false;
+
+    if (lease.previousOwner) {
+      console.log(`[Supervisor] 🔀 Took over ${camera.streamName} from node ${lease.previousOwner} (lease expired)`);
+      // The in-memory state of a camera another node ran is stale
+      streamStateMachine.transition(camera.streamName, 'idle', `failover from node ${lease.previousOwner}`);
+      await StreamEvent.record({
+        streamName: camera.streamName,
+        cameraId: camera._id,
+        workspaceId: camera.workspaceId,
+        type: 'failover',
+        message: `Taken over by node ${leaseManager.nodeId} after the lease of node ${lease.previousOwner} expired`,
+        details: { from: lease.previousOwner, to: leaseManager.nodeId }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Estimated CPU cost of a camera's stream (auto video mode judged by the last probe)
+   */
+  estimateCost(camera) {
+    return capacityManager.estimateCost(camera.getStreamOptions(), camera.lastProbe);
+  }
+
+  /**
+   * A camera cannot be started here for lack of capacity - let another node have it
+   */
+  async handleDeferred(streamName) {
+    if (!leaseManager.owned.has(streamName)) return;
+
+    try {
+      streamStateMachine.transition(streamName, 'pending_capacity', 'node at capacity');
+      await leaseManager.release(streamName);
+      console.log(`[Supervisor] ⏸️ Released ${streamName} - node at capacity, another node may take it`);
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Error releasing ${streamName}:`, error.message);
+    }
+  }
+
+  /**
+   * Renew this node's leases and bring local streams in line with them
+   */
+  async renewLeases() {
+    try {
+      const owned = await leaseManager.renew();
+      const byName = new Map(owned.map(camera => [camera.streamName, camera]));
+
+      for (const streamName of ffmpegManager.getActiveStreams()) {
+        if (this.inFlight.has(streamName)) continue;
+        const camera = byName.get(streamName);
+        const processInfo = ffmpegManager.getProcessInfo(streamName);
+        if (!processInfo) continue;
+
+        if (!camera) {
+          console.warn(`[Supervisor] ⚠️ ${streamName} is no longer leased to this node - stopping it`);
+          await ffmpegManager.stopStream(streamName, { reason: 'lease lost' });
+        } else if (!camera.active) {
+          console.log(`[Supervisor] 🛑 ${streamName} was deactivated - stopping it`);
+          await ffmpegManager.stopStream(streamName, { state: 'disabled', reason: 'camera deactivated' });
+          await leaseManager.release(streamName);
+        } else if (camera.restartRequestedAt && camera.restartRequestedAt.getTime() > processInfo.startTime) {
+          this.applySettings(streamName, 'stream settings changed on another node');
+        }
+      }
+
+      // Leases of inactive cameras that are not running here are not needed
+      for (const camera of owned) {
+        if (!camera.active && !ffmpegManager.isStreamRunning(camera.streamName)) {
+          await leaseManager.release(camera.streamName);
+        }
+      }
+    } catch (error) {
+      console.error('[Supervisor] ❌ Error renewing leases:', error.message);
+    }
+  }
+
+  /**
+   * Restart a stream with its current settings (not a failure) - settings changed on another node
+   * or a load governor step
+   * @returns {Promise<boolean>} Whether the stream was restarted
+   */
+  async applySettings(streamName, reason) {
+    if (this.inFlight.has(streamName)) return false;
+    this.inFlight.add(streamName);
+
+    try {
+      const camera = await Camera.findOne({ streamName });
+      console.log(`[Supervisor] 🔄 Restarting ${streamName} (${reason})`);
+      metrics.streamRestarts.inc({ ...metrics.streamLabels(streamName, camera.workspaceId), trigger: 'settings' });
+      await ffmpegManager.restartStream(camera.getSourceUrl(), streamName, camera.getStreamOptions());
+      return true;
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Failed to apply new settings to ${streamName}:`, error.message);
+      return false;
+    } finally {
+      this.inFlight.delete(streamName);
+    }
+  }
+
+  /**
+   * Start a camera's stream
+   * @param {string} [trigger] - Restart trigger counted in the metrics (retry, recovery); null for first starts
+   */
+  async startCamera(camera, reason, trigger = null) {
+    const { streamName } = camera;
+    this.inFlight.add(streamName);
+
+    try {
+      console.log(`[Supervisor] 🚀 Starting ${streamName} (${reason})`);
+      if (trigger) {
+        metrics.streamRestarts.inc({ ...metrics.streamLabels(streamName, camera.workspaceId), trigger });
+      }
+      await ffmpegManager.startStream(camera.getSourceUrl(), streamName, camera.getStreamOptions());
+    } catch (error) {
+      // Spawn failures come back through 'streamExit', capacity refusals through 'streamDeferred'
+      if (error.code !== 'NO_CAPACITY' && error.code !== 'START_CANCELLED') {
+        console.error(`[Supervisor] ❌ Failed to start ${streamName}:`, error.message);
+      }
+    } finally {
+      this.inFlight.delete(streamName);
+    }
+  }
+
+  /**
+   * Cool-down check of a parked camera: only start it again once the source answers
+   * Lockout-safe cameras skip the probe - it is a login of its own - and get a single start attempt.
+   */
+  async reprobe(camera) {
+    const { streamName } = camera;
+
+    if (this.getPolicy(camera).lockoutSafe) {
+      await this.startCamera(camera, 'cool-down over (lockout-safe, not probed)', 'recovery');
+      return;
+    }
+
+    this.inFlight.add(streamName);
+
+    try {
+      console.log(`[Supervisor] 🔍 Re-probing parked camera ${streamName}...`);
+      const probe = await sourceProber.probe(camera.getSourceUrl());
+      camera.recordProbe(probe);
+
+      if (!probe.reachable) {
+        const nextRetryAt = new Date(Date.now() + this.getPolicy(camera).cooldown);
+        camera.restartState.nextRetryAt = nextRetryAt;
+        await camera.save();
+        console.log(`[Supervisor] 💤 ${streamName} still unreachable (${probe.error}), next probe at ${nextRetryAt.toISOString()}`);
+        return;
+      }
+
+      await camera.save();
+      console.log(`[Supervisor] 🔌 ${streamName} reachable again - trying one start`);
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Re-probe of ${streamName} failed:`, error.message);
+      return;
+    } finally {
+      this.inFlight.delete(streamName);
+    }
+
+    // Half-open: a single failure parks the camera again (attempts stay at the limit)
+    await this.startCamera(camera, 'source reachable again', 'recovery');
+  }
+
+  /**
+   * Count a failure and decide between backing off and parking the camera
+   * @returns {Promise<Object|null>} { parked, delay, attempts } or null when the camera is gone or inactive
+   */
+  async registerFailure(streamName, reason) {
+    const camera = await Camera.findOne({ streamName });
+    if (!camera || !camera.active) return null;
+
+    const policy = this.getPolicy(camera);
+    const restart = camera.restartState || {};
+    const attempts = (restart.attempts || 0) + 1;
+    // Retrying a rejected login only brings an NVR account lockout closer
+    const parked = attempts >= policy.maxAttempts || (policy.lockoutSafe && isLoginFailure(reason));
+    const delay = parked ? policy.cooldown : this.backoffDelay(policy, attempts);
+    const now = new Date();
+
+    camera.restartState = {
+      attempts,
+      nextRetryAt: new Date(now.getTime() + delay),
+      circuitOpen: parked,
+      circuitOpenedAt: parked ? (restart.circuitOpen ? restart.circuitOpenedAt : now) : null,
+      lastFailureReason: reason
+    };
+    await camera.save();
+
+    if (parked && !restart.circuitOpen) {
+      await StreamEvent.record({
+        streamName,
+        cameraId: camera._id,
+        workspaceId: camera.workspaceId,
+        type: 'circuit_open',
+        message: `Parked after ${attempts} failure(s) in a row (${reason}) - ${policy.lockoutSafe ? 'retrying' : 're-probing'} every ${policy.cooldown / 1000}s`,
+        details: { attempts, reason, lockoutSafe: policy.lockoutSafe }
+      });
+    }
+
+    return { parked, delay, attempts, maxAttempts: policy.maxAttempts };
+  }
+
+  /**
+   * A stream's process died - schedule its restart or park it
+   */
+  async handleExit(streamName, { failure, wasReady }) {
+    try {
+      const decision = await this.registerFailure(streamName, failure.reason);
+
+      if (!decision) {
+        if (streamStateMachine.getState(streamName) !== 'disabled') {
+          streamStateMachine.transition(streamName, 'idle', 'camera not found or inactive');
+        }
+        return;
+      }
+
+      const details = { attempts: decision.attempts, maxAttempts: decision.maxAttempts, delayMs: decision.delay, wasReady };
+      if (decision.parked) {
+        console.error(`[Supervisor] 🛑 ${streamName} parked after ${decision.attempts} failures (${failure.reason})`);
+        streamStateMachine.transition(streamName, 'failed', `circuit open: ${failure.reason}`, details);
+      } else {
+        console.log(`[Supervisor] ⏳ ${streamName} failed (${failure.reason}), restart ${decision.attempts}/${decision.maxAttempts} in ${decision.delay / 1000}s`);
+        streamStateMachine.transition(streamName, 'backing_off', failure.reason, details);
+      }
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Error handling exit of ${streamName}:`, error.message);
+    }
+  }
+
+  /**
+   * A stream became ready - clear its failure count and close the circuit
+   */
+  async handleReady(streamName) {
+    try {
+      const previous = await Camera.findOneAndUpdate(
+        { streamName },
+        { $set: { restartState: CLEAR_RESTART_STATE } },
+        { projection: { restartState: 1, workspaceId: 1 } }
+      );
+
+      if (previous && previous.restartState && previous.restartState.circuitOpen) {
+        console.log(`[Supervisor] ✅ ${streamName} recovered - circuit closed`);
+        await StreamEvent.record({
+          streamName,
+          cameraId: previous._id,
+          workspaceId: previous.workspaceId,
+          type: 'circuit_closed',
+          message: 'Stream recovered after being parked',
+          details: { attempts: previous.restartState.attempts }
+        });
+      }
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Error resetting restart state of ${streamName}:`, error.message);
+    }
+  }
+
+  /**
+   * Kill and restart a running stream (e.g. stalled); counts as a failure
+   * Lockout-safe cameras are stopped and left to the backoff instead of reconnecting at once.
+   */
+  async restartNow(streamName, reason) {
+    if (this.inFlight.has(streamName)) return;
+    this.inFlight.add(streamName);
+
+    try {
+      const decision = await this.registerFailure(streamName, reason);
+
+      if (!decision) {
+        await ffmpegManager.stopStream(streamName);
+        console.log(`[Supervisor] ${streamName} stopped - camera inactive or removed`);
+        return;
+      }
+
+      if (decision.parked) {
+        console.error(`[Supervisor] 🛑 ${streamName} parked after ${decision.attempts} failures (${reason})`);
+        await ffmpegManager.stopStream(streamName, { state: 'failed', reason: `circuit open: ${reason}` });
+        return;
+      }
+
+      const camera = await Camera.findOne({ streamName });
+      if (this.getPolicy(camera).lockoutSafe) {
+        await ffmpegManager.stopStream(streamName, { state: 'backing_off', reason });
+        console.log(`[Supervisor] ⏳ ${streamName} stopped (${reason}), restart in ${decision.delay / 1000}s (lockout-safe)`);
+        return;
+      }
+
+      metrics.streamRestarts.inc({ ...metrics.streamLabels(streamName, camera.workspaceId), trigger: 'watchdog' });
+      await ffmpegManager.restartStream(camera.getSourceUrl(), streamName, camera.getStreamOptions());
+      console.log(`[Supervisor] ✅ ${streamName} restarted (${reason})`);
+    } catch (error) {
+      console.error(`[Supervisor] ❌ Failed to restart ${streamName}:`, error.message);
+    } finally {
+      this.inFlight.delete(streamName);
+    }
+  }
+
+  /**
+   * Forget failures of a camera (manual start or activation)
+   */
+  async reset(streamName) {
+    await Camera.updateOne(
+      { streamName },
+      { $set: { restartState: CLEAR_RESTART_STATE } }
+    );
+  }
+}
+
+module.exports = new StreamSupervisor();
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const config = require('../config');
+const procfs = require('../utils/procfs');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'ffmpegWorker.js');
+const CONNECT_TIMEOUT_MS = 5000;
+const CONNECT_RETRY_MS = 100;
+
+/**
+ * FFmpeg process running under a detached worker (workers/ffmpegWorker.js)
+ * Looks like a ChildProcess to FFmpegManager: pid, exitCode, signalCode, kill(),
+ * stdout/stderr/stdio[fd] emitting 'data', and 'spawn', 'exit' and 'error' events.
+ */
+class WorkerHandle extends EventEmitter {
+  constructor({ streamName, workerPid, socketPath, pid = null, analysisFd = null }) {
+    super();
+    this.streamName = streamName;
+    this.workerPid = workerPid;
+    this.socketPath = socketPath;
+    this.pid = pid;
+    this.exitCode = null;
+    this.signalCode = null;
+    this.killed = false;
+    this.detached = false;
+    this.socket = null;
+
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.stdio = [null, this.stdout, this.stderr];
+    if (analysisFd) {
+      this.stdio[analysisFd] = new EventEmitter();
+    }
+  }
+
+  /**
+   * Connect to the worker's control socket, retrying while the worker starts up
+   */
+  connect() {
+    const deadline = Date.now() + CONNECT_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+      const attempt = () => {
+        const socket = net.createConnection(this.socketPath);
+        socket.once('connect', () => {
+          this.attach(socket);
+          resolve(this);
+        });
+        socket.once('error', (error) => {
+          socket.destroy();
+          if (Date.now() < deadline && procfs.isAlive(this.workerPid)) {
+            setTimeout(attempt, CONNECT_RETRY_MS);
+          } else {
+            reject(new Error(`Worker ${this.workerPid} control socket not reachable: ${error.message}`));
+          }
+        });
+      };
+      attempt();
+    });
+  }
+
+  /**
+   * Read the worker's messages
+   */
+  attach(socket) {
+    this.socket = socket;
+    let buffer = '';
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          this.handleMessage(JSON.parse(line));
+        } catch (error) {
+          // Ignore a corrupt message rather than losing the stream
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.socket = null;
+      if (this.detached || this.exitCode !== null || this.signalCode !== null) return;
+
+      // Worker died without reporting an exit - do not leave its FFmpeg publishing unsupervised
+      if (this.pid) {
+        try {
+          process.kill(this.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      }
+      this.handleMessage({ type: 'exit', code: null, signal: 'SIGKILL' });
+    });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'spawn') {
+      this.pid = message.pid;
+      this.emit('spawn');
+    } else if (message.type === 'output') {
+      const target = this.stdio[message.fd];
+      if (target) target.emit('data', Buffer.from(message.data, 'base64'));
+    } else if (message.type === 'exit') {
+      if (this.exitCode !== null || this.signalCode !== null) return;
+      this.exitCode = message.code;
+      this.signalCode = message.signal;
+      this.emit('exit', message.code, message.signal);
+    } else if (message.type === 'error') {
+      this.exitCode = -1;
+      this.emit('error', new Error(message.message));
+    }
+  }
+
+  /**
+   * Signal the FFmpeg process (the worker reports its exit)
+   */
+  kill(signal = 'SIGTERM') {
+    if (!this.pid) return false;
+    try {
+      process.kill(this.pid, signal);
+      this.killed = true;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Let go of the worker without stopping it (API shutdown)
+   */
+  detach() {
+    this.detached = true;
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Detached FFmpeg workers that keep streams running while the API process restarts
+ * Enabled with FFMPEG_DETACHED_WORKERS=true (not available on Windows).
+ */
+class StreamWorkers {
+  /**
+   * Whether streams run under detached workers
+   */
+  isEnabled() {
+    return config.workers.detached && process.platform !== 'win32';
+  }
+
+  /**
+   * Start FFmpeg under a new detached worker
+   * @param {string} streamName
+   * @param {string[]} args - FFmpeg arguments
+   * @param {Object} options
+   * @param {number|null} [options.analysisFd] - Extra output fd to forward
+   * @param {Object} [options.meta] - Stream details stored with the worker for re-attaching
+   * @returns {WorkerHandle} Emits 'spawn' once FFmpeg runs, 'error' when it cannot be started
+   */
+  spawn(streamName, args, { analysisFd = null, meta = {} } = {}) {
+    this.ensureDir();
+
+    // The stream name on the command line lets discover() recognise the worker in /proc
+    const worker = spawn(process.execPath, [WORKER_SCRIPT, streamName], {
+      detached: true,
+      stdio: ['pipe', 'ignore', 'ignore'],
+      windowsHide: true
+    });
+    worker.stdin.end(JSON.stringify({
+      streamName,
+      command: config.ffmpeg.path,
+      args,
+      analysisFd,
+      stateDir: config.workers.dir,
+      lingerMs: config.workers.lingerMs,
+      meta
+    }));
+    worker.unref();
+
+    const handle = new WorkerHandle({
+      streamName,
+      workerPid: worker.pid,
+      socketPath: path.join(config.workers.dir, `${streamName}-${worker.pid}.sock`),
+      analysisFd
+    });
+
+    worker.once('error', (error) => handle.emit('error', error));
+    if (worker.pid) {
+      handle.connect().catch((error) => handle.emit('error', error));
+    }
+
+    return handle;
+  }
+
+  /**
+   * Create the state directory private to this user (0700)
+   * Control sockets forward raw FFmpeg output, which may contain source URLs with credentials.
+   * @throws {Error} code UNSAFE_WORKER_DIR when the directory belongs to another user
+   */
+  ensureDir() {
+    const dir = config.workers.dir;
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    const stats = fs.statSync(dir);
+    if (!stats.isDirectory() || (typeof process.getuid === 'function' && stats.uid !== process.getuid())) {
+      const error = new Error(`Worker directory ${dir} is not a directory owned by this user - refusing to use it`);
+      error.code = 'UNSAFE_WORKER_DIR';
+      throw error;
+    }
+    // An existing directory keeps its mode - tighten it
+    if ((stats.mode & 0o077) !== 0) {
+      fs.chmodSync(dir, 0o700);
+    }
+  }
+
+  /**
+   * Workers left running by a previous API process
+   * State files of dead workers are removed; state files that do not describe one of our
+   * workers (PID reused, file planted or damaged) are skipped and logged, never acted on.
+   * @returns {Object[]} Worker states { streamName, workerPid, pid, startedAt, socketPath, meta, exit }
+   */
+  discover() {
+    let files;
+    try {
+      this.ensureDir();
+      files = fs.readdirSync(config.workers.dir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'UNSAFE_WORKER_DIR') {
+        console.error(`[Workers] ❌ ${error.message}`);
+      }
+      return [];
+    }
+
+    const workers = [];
+    for (const file of files) {
+      const statePath = path.join(config.workers.dir, file);
+      let state;
+      try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      if (!isValidState(state, file)) {
+        console.warn(`[Workers] ⚠️ Skipping ${file} - not a valid worker state file`);
+        continue;
+      }
+
+      if (!procfs.isAlive(state.workerPid)) {
+        for (const stale of [statePath, state.socketPath]) {
+          try {
+            fs.unlinkSync(stale);
+          } catch (error) {
+            // Already gone
+          }
+        }
+        continue;
+      }
+
+      const mismatch = this.verify(state);
+      if (mismatch) {
+        console.warn(`[Workers] ⚠️ Skipping ${file} - ${mismatch}; the process is left alone`);
+        continue;
+      }
+
+      workers.push(state);
+    }
+
+    return workers;
+  }
+
+  /**
+   * Check in /proc that a state file's PIDs still belong to the worker that wrote it
+   * @returns {string|null} Why the state cannot be trusted, null when it can
+   */
+  verify(state) {
+    if (!procfs.isSupported()) {
+      return '/proc not available to verify the worker';
+    }
+
+    const argv = procfs.readCmdline(state.workerPid);
+    if (!argv || argv.length < 3 || path.resolve(argv[1]) !== WORKER_SCRIPT || argv[2] !== state.streamName) {
+      return `PID ${state.workerPid} is not the worker of ${state.streamName}`;
+    }
+
+    // FFmpeg is killed through this PID when the worker disappears - it must be the worker's child
+    if (state.pid) {
+      const stat = procfs.readStat(state.pid);
+      if (stat && stat.parentPid !== state.workerPid) {
+        return `PID ${state.pid} is not the FFmpeg process of worker ${state.workerPid}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Connect to a running worker found by discover()
+   * @returns {Promise<WorkerHandle>}
+   */
+  attach(state) {
+    const mismatch = this.verify(state);
+    if (mismatch) {
+      return Promise.reject(new Error(`Not attaching: ${mismatch}`));
+    }
+
+    const handle = new WorkerHandle({
+      streamName: state.streamName,
+      workerPid: state.workerPid,
+      socketPath: state.socketPath,
+      pid: state.pid,
+      analysisFd: state.meta ? state.meta.analysisFd : null
+    });
+    return handle.connect();
+  }
+
+  /**
+   * Stop a worker that will not be attached (its FFmpeg process stops with it)
+   */
+  terminate(state) {
+    const mismatch = this.verify(state);
+    if (mismatch) {
+      console.warn(`[Workers] ⚠️ Not stopping worker: ${mismatch}`);
+      return;
+    }
+
+    try {
+      process.kill(state.workerPid, 'SIGTERM');
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Whether a parsed state file has the shape and location the worker writes
+ * (<dir>/<streamName>-<workerPid>.json with its socket next to it)
+ */
+function isValidState(state, file) {
+  if (!state || typeof state.streamName !== 'string' || !Number.isInteger(state.workerPid) || state.workerPid <= 0) {
+    return false;
+  }
+  if (state.pid !== null && state.pid !== undefined && (!Number.isInteger(state.pid) || state.pid <= 0)) {
+    return false;
+  }
+  const base = `${state.streamName}-${state.workerPid}`;
+  return file === `${base}.json` && state.socketPath === path.join(config.workers.dir, `${base}.sock`);
+}
+
+module.exports = new StreamWorkers();
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const capacityManager = require('../services/CapacityManager');
+const { resolveEncodingProfile } = require('../utils/encoding');
+
+// The module exports a singleton - every test gets a fresh instance
+const createManager = () => new capacityManager.constructor();
+
+describe('CapacityManager', () => {
+  const defaults = { ...config.capacity };
+  let manager;
+
+  beforeEach(() => {
+    Object.assign(config.capacity, { maxStreams: 0, cpuBudget: 0, startConcurrency: 2 });
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    Object.assign(config.capacity, defaults);
+  });
+
+  describe('estimateCost', () => {
+    it('counts a 1080p25 transcode as one unit', () => {
+      const encoding = resolveEncodingProfile('standard');
+      assert.equal(manager.estimateCost({ videoMode: 'transcode', encoding }), 1);
+      assert.equal(manager.estimateCost({ videoMode: 'transcode', encoding },
+        { width: 1280, height: 720, frameRate: 25 }), 0.44);
+    });
+
+    it('scales with the output size and frame rate', () => {
+      const encoding = resolveEncodingProfile('medium'); // 720p20
+      assert.equal(manager.estimateCost({ videoMode: 'transcode', encoding }), 0.36);
+    });
+
+    it('adds renditions and analysis, and counts passthrough cheaply', () => {
+      const renditions = [resolveEncodingProfile('low')];
+      assert.equal(manager.estimateCost({ videoMode: 'copy' }), 0.1);
+      assert.equal(manager.estimateCost({ videoMode: 'copy', renditions, analysis: true }), 0.4);
+    });
+
+    it('counts auto mode as a transcode until the source is probed', () => {
+      const encoding = resolveEncodingProfile('standard');
+      const playable = { reachable: true, codec: 'h264', profile: 'High', pixelFormat: 'yuv420p' };
+      assert.equal(manager.estimateCost({ videoMode: 'auto', encoding }), 1);
+      assert.equal(manager.estimateCost({ videoMode: 'auto', encoding }, playable), 0.1);
+    });
+  });
+
+  describe('admission', () => {
+    it('admits without limits', () => {
+      for (let i = 0; i < 5; i++) manager.admit(`cam_${i}`, 1);
+      assert.equal(manager.getStatus().streams, 5);
+      assert.equal(manager.getLoad(), 5);
+    });
+
+    it('refuses streams beyond maxStreams', () => {
+      config.capacity.maxStreams = 2;
+      manager.admit('cam_1', 1);
+      manager.admit('cam_2', 1);
+      assert.throws(() => manager.admit('cam_3', 1), error => {
+        assert.equal(error.code, 'NO_CAPACITY');
+        assert.equal(error.capacity.full, true);
+        return true;
+      });
+    });
+
+    it('refuses streams beyond the CPU budget but always runs one', () => {
+      config.capacity.cpuBudget = 1.5;
+      manager.admit('cam_big', 4); // larger than the budget, but the node is empty
+      assert.throws(() => manager.admit('cam_small', 0.1), { code: 'NO_CAPACITY' });
+
+      manager.release('cam_big');
+      manager.admit('cam_1', 1);
+      assert.throws(() => manager.admit('cam_2', 1), { code: 'NO_CAPACITY' });
+      manager.admit('cam_3', 0.5);
+    });
+
+    it('re-admits a stream it already holds', () => {
+      config.capacity.maxStreams = 1;
+      manager.admit('cam_1', 1);
+      manager.startFinished('cam_1');
+      assert.doesNotThrow(() => manager.admit('cam_1', 1));
+    });
+
+    it('never refuses re-attached streams', () => {
+      config.capacity.maxStreams = 1;
+      manager.reserve('cam_1', 1);
+      manager.reserve('cam_2', 1);
+      assert.equal(manager.getStatus().streams, 2);
+    });
+
+    it('corrects the estimate of admitted streams only', () => {
+      manager.admit('cam_1', 1);
+      manager.updateCost('cam_1', 0.1);
+      manager.updateCost('cam_unknown', 3);
+      assert.equal(manager.getLoad(), 0.1);
+      assert.ok(!manager.isAdmitted('cam_unknown'));
+    });
+  });
+
+  describe('start queue', () => {
+    it('queues starts beyond the concurrency in FIFO order', async () => {
+      const started = [];
+      const admissions = ['cam_1', 'cam_2', 'cam_3', 'cam_4'].map(streamName => {
+        const admission = manager.admit(streamName, 1);
+        admission.slot.then(() => started.push(streamName));
+        return admission;
+      });
+
+      assert.deepEqual(admissions.map(admission => admission.position), [0, 0, 1, 2]);
+      assert.equal(manager.getQueuePosition('cam_4'), 2);
+      await Promise.resolve();
+      assert.deepEqual(started, ['cam_1', 'cam_2']);
+
+      manager.startFinished('cam_2');
+      await admissions[2].slot;
+      assert.deepEqual(started, ['cam_1', 'cam_2', 'cam_3']);
+      assert.equal(manager.getQueuePosition('cam_4'), 1);
+
+      manager.release('cam_1'); // a failed start frees its slot as well
+      await admissions[3].slot;
+      assert.deepEqual(started, ['cam_1', 'cam_2', 'cam_3', 'cam_4']);
+      assert.deepEqual(manager.getStatus(), {
+        streams: 3,
+        maxStreams: null,
+        cpuLoad: 3,
+        cpuBudget: null,
+        starting: 2,
+        startConcurrency: 2,
+        queued: 0,
+        full: false
+      });
+    });
+
+    it('cancels a queued start when the stream is released', async () => {
+      config.capacity.startConcurrency = 1;
+      manager.admit('cam_1', 1);
+      const { slot } = manager.admit('cam_2', 1);
+
+      manager.release('cam_2');
+      await assert.rejects(slot, { code: 'START_CANCELLED' });
+      assert.ok(!manager.isAdmitted('cam_2'));
+      assert.equal(manager.getStatus().queued, 0);
+    });
+
+    it('ignores startFinished for streams without a slot', () => {
+      config.capacity.startConcurrency = 1;
+      manager.admit('cam_1', 1);
+      manager.admit('cam_2', 1);
+      manager.startFinished('cam_2');
+      assert.equal(manager.getQueuePosition('cam_2'), 1);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const Camera = require('../models/Camera');
+const leaseManager = require('../services/LeaseManager');
+
+const OWNED_OR_FREE = {
+  $or: [
+    { 'lease.owner': config.cluster.nodeId },
+    { 'lease.owner': { $in: [null, ''] } }
+  ]
+};
+
+describe('LeaseManager.markStopped', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only marks cameras of this node (or of nobody) as stopped', async () => {
+    const updateMany = mock.method(Camera, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    assert.equal(await leaseManager.markStopped(), 2);
+    assert.equal(updateMany.mock.callCount(), 1);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { streaming: true, ...OWNED_OR_FREE });
+    assert.equal(update.$set.streaming, false);
+    assert.equal(update.$set.processId, null);
+  });
+});
+
+describe('LeaseManager.releaseAll', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only releases the leases of this node', async () => {
+    const updateMany = mock.method(Camera, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await leaseManager.releaseAll(), 1);
+    assert.deepEqual(updateMany.mock.calls[0].arguments[0], { 'lease.owner': config.cluster.nodeId });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { authenticate, authenticatePlaylist, signPlaylistToken } = require('../middleware/auth');
+
+/**
+ * Run a middleware; resolves with ['next'] or [status, message]
+ */
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      json(body) {
+        resolve([this.code, body.message]);
+      }
+    };
+    req.headers = req.headers || {};
+    req.query = req.query || {};
+    req.params = req.params || {};
+    middleware(req, res, () => resolve(['next']));
+  });
+}
+
+describe('playlist tokens', () => {
+  const cameraId = '65a1b2c3d4e5f60718293a4b';
+  const apiToken = jwt.sign({ role: 'admin' }, config.jwtSecret);
+
+  it('expire after the configured lifetime', () => {
+    const before = Date.now();
+    const { expiresAt } = signPlaylistToken(cameraId);
+    const lifetime = expiresAt.getTime() - before;
+    assert.ok(lifetime > (config.playlistTokenTtl - 2) * 1000 && lifetime <= config.playlistTokenTtl * 1000, String(lifetime));
+  });
+
+  it('open the master playlist of their camera', async () => {
+    const { token } = signPlaylistToken(cameraId);
+    const req = { query: { token }, params: { id: cameraId } };
+    assert.deepEqual(await run(authenticatePlaylist, req), ['next']);
+    assert.equal(req.playlistCameraId, cameraId);
+  });
+
+  it('are refused for another camera, when invalid or when expired', async () => {
+    const { token } = signPlaylistToken(cameraId);
+    assert.deepEqual(await run(authenticatePlaylist, { query: { token }, params: { id: 'other' } }),
+      [401, 'Playlist token was issued for another camera']);
+    assert.deepEqual(await run(authenticatePlaylist, { query: { token: 'junk' }, params: { id: cameraId } }),
+      [401, 'Invalid or expired playlist token']);
+
+    const expired = jwt.sign({ sub: cameraId, exp: Math.floor(Date.now() / 1000) - 10 }, config.jwtSecret, { audience: 'hls-playlist' });
+    assert.deepEqual(await run(authenticatePlaylist, { query: { token: expired }, params: { id: cameraId } }),
+      [401, 'Invalid or expired playlist token']);
+  });
+
+  it('are not accepted as bearer tokens, and bearer tokens not as playlist tokens', async () => {
+    const { token } = signPlaylistToken(cameraId);
+    assert.deepEqual(await run(authenticate, { headers: { authorization: `Bearer ${token}` } }),
+      [401, 'Playlist tokens are only valid as ?token= on the master playlist']);
+    assert.deepEqual(await run(authenticatePlaylist, { query: { token: apiToken }, params: { id: cameraId } }),
+      [401, 'Invalid or expired playlist token']);
+  });
+
+  it('fall back to the bearer token without ?token=', async () => {
+    const req = { headers: { authorization: `Bearer ${apiToken}` }, params: { id: cameraId } };
+    assert.deepEqual(await run(authenticatePlaylist, req), ['next']);
+    assert.equal(req.user.isAdmin, true);
+  });
+});
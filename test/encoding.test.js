@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PROFILE,
+  MAX_DEGRADATION_LEVEL,
+  validateEncodingSettings,
+  isPassthroughCompatible,
+  resolveVideoMode,
+  resolveAudioCodec,
+  resolveRenditions,
+  bitrateToBps,
+  resolveEncodingProfile,
+  degradeEncoding,
+  buildVideoEncodeArgs
+} = require('../utils/encoding');
+
+describe('validateEncodingSettings', () => {
+  it('accepts known profiles, overrides and settings', () => {
+    assert.deepEqual(validateEncodingSettings({
+      encodingProfile: 'medium',
+      encodingOverrides: { videoBitrate: '900k', height: null, fps: 12.5, gop: 25 },
+      videoMode: 'auto',
+      audio: { enabled: true, codec: 'opus', bitrate: '48k' },
+      abr: { enabled: true, renditions: ['low'] }
+    }), []);
+    assert.deepEqual(validateEncodingSettings({}), []);
+  });
+
+  it('rejects unknown profile names, inherited keys included', () => {
+    for (const encodingProfile of ['ultra', 'constructor', 'toString', '__proto__']) {
+      assert.equal(validateEncodingSettings({ encodingProfile }).length, 1, encodingProfile);
+    }
+  });
+
+  it('rejects unknown and invalid override fields', () => {
+    const errors = validateEncodingSettings({
+      encodingOverrides: { constructor: 1, crf: 23, videoBitrate: 'fast', height: 10 }
+    });
+    assert.deepEqual(errors, [
+      'encodingOverrides.constructor is not a known encoding setting',
+      'encodingOverrides.crf is not a known encoding setting',
+      'encodingOverrides.videoBitrate has an invalid value',
+      'encodingOverrides.height has an invalid value'
+    ]);
+  });
+
+  it('validates the ABR ladder', () => {
+    assert.deepEqual(validateEncodingSettings({ abr: { renditions: ['low', 'hasOwnProperty'] } }),
+      ['abr.renditions contains unknown profiles: hasOwnProperty']);
+    assert.deepEqual(validateEncodingSettings({ abr: { renditions: ['low', 'low'] } }),
+      ['abr.renditions must not contain duplicates']);
+    assert.deepEqual(validateEncodingSettings({ abr: { renditions: ['low', 'medium', 'standard', 'high'] } }),
+      ['abr.renditions allows at most 3 entries']);
+    assert.deepEqual(validateEncodingSettings({ abr: { enabled: 'yes', levels: 2 } }),
+      ['abr.enabled must be a boolean', 'abr.levels is not a known ABR setting']);
+  });
+
+  it('validates video mode and audio', () => {
+    assert.deepEqual(validateEncodingSettings({ videoMode: 'remux' }),
+      ['videoMode must be one of: transcode, copy, auto']);
+    assert.deepEqual(validateEncodingSettings({ audio: { codec: 'mp3', bitrate: 64 } }), [
+      'audio.codec must be one of: aac, opus, copy, auto',
+      'audio.bitrate must be a bitrate such as "64k"'
+    ]);
+  });
+});
+
+describe('resolveEncodingProfile', () => {
+  it('applies overrides on top of the named profile', () => {
+    const profile = resolveEncodingProfile('medium', { videoBitrate: '1M', fps: 10 });
+    assert.equal(profile.name, 'medium');
+    assert.equal(profile.videoBitrate, '1M');
+    assert.equal(profile.fps, 10);
+    assert.equal(profile.height, 720);
+  });
+
+  it('defaults bufsize to twice the maxrate', () => {
+    assert.equal(resolveEncodingProfile('medium').bufsize, '3M');
+    assert.equal(resolveEncodingProfile('low').bufsize, '1600k');
+    assert.equal(resolveEncodingProfile('standard').bufsize, '5M');
+  });
+
+  it('falls back to the default profile for unknown or inherited names', () => {
+    for (const name of [undefined, '', 'ultra', 'constructor']) {
+      assert.equal(resolveEncodingProfile(name).name, DEFAULT_PROFILE);
+    }
+  });
+
+  it('ignores override keys that are not encoding settings', () => {
+    const profile = resolveEncodingProfile('low', { crf: 23 });
+    assert.equal(profile.crf, undefined);
+  });
+});
+
+describe('resolveRenditions', () => {
+  it('is empty while the ladder is off', () => {
+    assert.deepEqual(resolveRenditions(undefined), []);
+    assert.deepEqual(resolveRenditions({ enabled: false, renditions: ['low'] }), []);
+  });
+
+  it('resolves the configured renditions, skipping unknown names', () => {
+    const names = resolveRenditions({ enabled: true, renditions: ['low', 'constructor', 'nope'] })
+      .map(profile => profile.name);
+    assert.deepEqual(names, ['low']);
+  });
+
+  it('uses the default ladder when the camera lists none', () => {
+    const names = resolveRenditions({ enabled: true, renditions: [] }).map(profile => profile.name);
+    assert.deepEqual(names, ['medium', 'low']);
+  });
+});
+
+describe('video and audio mode', () => {
+  const playable = { reachable: true, codec: 'h264', profile: 'Main', pixelFormat: 'yuv420p', audioCodec: 'aac' };
+
+  it('passes through browser-compatible H.264 only', () => {
+    assert.ok(isPassthroughCompatible(playable));
+    assert.ok(!isPassthroughCompatible({ ...playable, codec: 'hevc' }));
+    assert.ok(!isPassthroughCompatible({ ...playable, profile: 'High 4:2:2' }));
+    assert.ok(!isPassthroughCompatible({ ...playable, pixelFormat: 'yuv422p' }));
+    assert.ok(!isPassthroughCompatible({ ...playable, reachable: false }));
+    assert.ok(!isPassthroughCompatible(null));
+  });
+
+  it('resolves auto from the probe', () => {
+    assert.equal(resolveVideoMode('auto', playable), 'copy');
+    assert.equal(resolveVideoMode('auto', { ...playable, codec: 'hevc' }), 'transcode');
+    assert.equal(resolveVideoMode('copy'), 'copy');
+  });
+
+  it('resolves the audio codec', () => {
+    assert.equal(resolveAudioCodec(undefined, playable), null);
+    assert.equal(resolveAudioCodec({ enabled: false, codec: 'aac' }), null);
+    assert.equal(resolveAudioCodec({ enabled: true, codec: 'auto' }, playable), 'copy');
+    assert.equal(resolveAudioCodec({ enabled: true, codec: 'auto' }, { ...playable, audioCodec: 'pcm_alaw' }), 'aac');
+    assert.equal(resolveAudioCodec({ enabled: true, codec: 'opus' }), 'opus');
+  });
+});
+
+describe('bitrateToBps', () => {
+  it('parses FFmpeg bitrate notation', () => {
+    assert.equal(bitrateToBps('2.5M'), 2500000);
+    assert.equal(bitrateToBps('800k'), 800000);
+    assert.equal(bitrateToBps('64000'), 64000);
+    assert.equal(bitrateToBps('fast'), null);
+  });
+});
+
+describe('degradeEncoding', () => {
+  const high = resolveEncodingProfile('high');
+
+  it('leaves the profile alone at level 0', () => {
+    assert.equal(degradeEncoding(high, 0), high);
+  });
+
+  it('caps resolution and frame rate and scales the bitrates', () => {
+    const degraded = degradeEncoding(high, 1);
+    assert.equal(degraded.height, 720);
+    assert.equal(degraded.width, null);
+    assert.equal(degraded.fps, 15);
+    assert.equal(degraded.gop, 30); // still two seconds
+    assert.equal(degraded.videoBitrate, '2400k');
+    assert.equal(degraded.degradation, 1);
+  });
+
+  it('never raises a lower setting and stops at the last step', () => {
+    const low = resolveEncodingProfile('low');
+    const degraded = degradeEncoding(low, MAX_DEGRADATION_LEVEL + 3);
+    assert.equal(degraded.height, 360);
+    assert.equal(degraded.fps, 10);
+    assert.equal(degraded.degradation, MAX_DEGRADATION_LEVEL);
+  });
+
+  it('gives source-rate profiles a frame rate and key frame interval', () => {
+    const degraded = degradeEncoding(resolveEncodingProfile('standard'), 1);
+    assert.equal(degraded.fps, 15);
+    assert.equal(degraded.gop, 30);
+  });
+});
+
+describe('buildVideoEncodeArgs', () => {
+  it('scales by height without upscaling', () => {
+    const args = buildVideoEncodeArgs(resolveEncodingProfile('medium'));
+    assert.deepEqual(args.slice(0, 2), ['-vf', "fps=20,scale=-2:'min(720,ih)'"]);
+    assert.equal(args[args.indexOf('-b:v') + 1], '1.2M');
+    assert.equal(args[args.indexOf('-g') + 1], '40');
+  });
+
+  it('adds no filter for source size and frame rate', () => {
+    const args = buildVideoEncodeArgs(resolveEncodingProfile('standard'));
+    assert.ok(!args.includes('-vf'));
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const procfs = require('../utils/procfs');
+
+const linux = { skip: !procfs.isSupported() && 'needs /proc (Linux)' };
+
+// A PID that cannot exist (above the kernel maximum of 2^22)
+const MISSING_PID = 4194304 + 1;
+
+describe('procfs on the running process', linux, () => {
+  it('reads the command line', () => {
+    assert.ok(procfs.readCmdline(process.pid).includes(__filename));
+  });
+
+  it('reads CPU time, start time and parent', () => {
+    const stat = procfs.readStat(process.pid);
+    assert.ok(stat.cpuSeconds >= 0);
+    assert.ok(stat.startTicks > 0);
+    assert.equal(stat.parentPid, process.ppid);
+  });
+
+  it('reads memory', () => {
+    const memory = procfs.readMemory(process.pid);
+    assert.ok(memory.rssBytes > 0);
+    assert.ok(memory.peakRssBytes >= memory.rssBytes);
+  });
+
+  it('sees a child with its arguments and parent', async () => {
+    const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)', 'stream_1'], { stdio: 'ignore' });
+    try {
+      await new Promise(resolve => child.once('spawn', resolve));
+      assert.ok(procfs.isAlive(child.pid));
+      assert.deepEqual(procfs.readCmdline(child.pid).slice(-3), ['-e', 'setTimeout(() => {}, 10000)', 'stream_1']);
+      assert.equal(procfs.readStat(child.pid).parentPid, process.pid);
+    } finally {
+      child.kill('SIGKILL');
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+    assert.equal(procfs.isAlive(child.pid), false);
+  });
+
+  it('returns null for processes that do not exist', () => {
+    assert.equal(procfs.readCmdline(MISSING_PID), null);
+    assert.equal(procfs.readStat(MISSING_PID), null);
+    assert.equal(procfs.readMemory(MISSING_PID), null);
+    assert.equal(procfs.isAlive(MISSING_PID), false);
+  });
+});
+
+describe('readStat parsing', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('finds the fields after a command name with spaces and parentheses', () => {
+    // pid (comm) state ppid ... utime=250 stime=50 ... starttime=123456
+    const fields = ['S', '42', ...Array(9).fill('0'), '250', '50', ...Array(6).fill('0'), '123456', '0'];
+    mock.method(fs, 'readFileSync', () => `1234 (ffmpeg (x) ) 1) ${fields.join(' ')}\n`);
+
+    assert.deepEqual(procfs.readStat(1234), { cpuSeconds: 3, startTicks: 123456, parentPid: 42 });
+  });
+
+  it('returns null for an unreadable stat line', () => {
+    mock.method(fs, 'readFileSync', () => '1234 (ffmpeg) Z');
+    assert.equal(procfs.readStat(1234), null);
+  });
+});
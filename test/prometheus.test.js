@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTENT_TYPE, Counter, Gauge, Histogram, Registry } = require('../utils/prometheus');
+
+describe('prometheus', () => {
+  it('exposes the text format content type', () => {
+    assert.equal(CONTENT_TYPE, 'text/plain; version=0.0.4; charset=utf-8');
+  });
+
+  it('renders a counter per label set, regardless of label order', () => {
+    const counter = new Counter('test_exits_total', 'Exits');
+    counter.inc({ reason: 'crash', stream: 'cam_1' });
+    counter.inc({ stream: 'cam_1', reason: 'crash' }, 2);
+    counter.inc({ reason: 'stall', stream: 'cam_1' });
+
+    assert.equal(counter.render(), [
+      '# HELP test_exits_total Exits',
+      '# TYPE test_exits_total counter',
+      'test_exits_total{reason="crash",stream="cam_1"} 3',
+      'test_exits_total{reason="stall",stream="cam_1"} 1'
+    ].join('\n'));
+  });
+
+  it('renders series without labels', () => {
+    const counter = new Counter('test_total', 'Total');
+    counter.inc();
+    assert.equal(counter.render().split('\n')[2], 'test_total 1');
+  });
+
+  it('escapes label values', () => {
+    const gauge = new Gauge('test_gauge', 'Gauge');
+    gauge.set({ name: 'a "quoted" \\ name\nnext' }, 1);
+    assert.equal(gauge.render().split('\n')[2], 'test_gauge{name="a \\"quoted\\" \\\\ name\\nnext"} 1');
+  });
+
+  it('sets, increments and resets gauges', () => {
+    const gauge = new Gauge('test_streams', 'Streams');
+    gauge.set({ state: 'running' }, 4);
+    gauge.inc({ state: 'running' });
+    gauge.set({ state: 'idle' }, NaN);
+    gauge.set({ state: 'parked' }, Infinity);
+    assert.deepEqual(gauge.render().split('\n').slice(2), [
+      'test_streams{state="running"} 5',
+      'test_streams{state="idle"} NaN',
+      'test_streams{state="parked"} +Inf'
+    ]);
+
+    gauge.reset();
+    assert.equal(gauge.render().split('\n').length, 2);
+  });
+
+  it('renders cumulative histogram buckets, sum and count', () => {
+    const histogram = new Histogram('test_duration_seconds', 'Duration', [0.1, 1]);
+    histogram.observe({ route: '/x' }, 0.05);
+    histogram.observe({ route: '/x' }, 0.5);
+    histogram.observe({ route: '/x' }, 3);
+
+    assert.deepEqual(histogram.render().split('\n').slice(2), [
+      'test_duration_seconds_bucket{route="/x",le="0.1"} 1',
+      'test_duration_seconds_bucket{route="/x",le="1"} 2',
+      'test_duration_seconds_bucket{route="/x",le="+Inf"} 3',
+      'test_duration_seconds_sum{route="/x"} 3.55',
+      'test_duration_seconds_count{route="/x"} 3'
+    ]);
+  });
+
+  it('times with labels given at the start and at the end', () => {
+    const histogram = new Histogram('test_timer_seconds', 'Timer', [60]);
+    const end = histogram.startTimer({ method: 'GET' });
+    const seconds = end({ status: '200' });
+
+    assert.ok(seconds >= 0 && seconds < 60);
+    const entry = [...histogram.series.values()][0];
+    assert.deepEqual(entry.labels, { method: 'GET', status: '200' });
+    assert.equal(entry.count, 1);
+    assert.deepEqual(entry.counts, [1]);
+  });
+
+  it('renders all registered metrics with a trailing newline', () => {
+    const registry = new Registry();
+    const counter = registry.register(new Counter('test_a_total', 'A'));
+    registry.register(new Gauge('test_b', 'B'));
+    counter.inc();
+
+    assert.equal(registry.render(), [
+      '# HELP test_a_total A',
+      '# TYPE test_a_total counter',
+      'test_a_total 1',
+      '# HELP test_b B',
+      '# TYPE test_b gauge',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { validateRestartPolicy, resolveRestartPolicy, isLoginFailure } = require('../utils/restartPolicy');
+
+describe('validateRestartPolicy', () => {
+  it('accepts valid settings and null resets', () => {
+    assert.deepEqual(validateRestartPolicy(undefined), []);
+    assert.deepEqual(validateRestartPolicy({
+      initialDelay: 5000,
+      multiplier: 2,
+      maxDelay: 60000,
+      maxAttempts: 5,
+      cooldown: 600000,
+      lockoutSafe: true
+    }), []);
+    assert.deepEqual(validateRestartPolicy({ initialDelay: null, lockoutSafe: null }), []);
+  });
+
+  it('rejects values that are not an object', () => {
+    for (const value of [null, 'fast', [1]]) {
+      assert.deepEqual(validateRestartPolicy(value), ['restartPolicy must be an object']);
+    }
+  });
+
+  it('checks ranges and types', () => {
+    assert.deepEqual(validateRestartPolicy({
+      initialDelay: 100,
+      multiplier: Infinity,
+      maxAttempts: 2.5,
+      cooldown: '60000',
+      lockoutSafe: 'yes'
+    }), [
+      'restartPolicy.initialDelay must be between 500 and 3600000',
+      'restartPolicy.multiplier must be between 1 and 10',
+      'restartPolicy.maxAttempts must be an integer between 1 and 1000',
+      'restartPolicy.cooldown must be between 10000 and 86400000',
+      'restartPolicy.lockoutSafe must be a boolean'
+    ]);
+  });
+
+  it('rejects unknown fields, inherited keys included', () => {
+    assert.deepEqual(validateRestartPolicy({ retries: 3, constructor: 5, toString: null }), [
+      'restartPolicy.retries is not a known restart setting',
+      'restartPolicy.constructor is not a known restart setting',
+      'restartPolicy.toString is not a known restart setting'
+    ]);
+  });
+
+  it('rejects a maxDelay below the initialDelay', () => {
+    assert.deepEqual(validateRestartPolicy({ initialDelay: 20000, maxDelay: 10000 }),
+      ['restartPolicy.maxDelay cannot be lower than restartPolicy.initialDelay']);
+  });
+});
+
+describe('resolveRestartPolicy', () => {
+  it('returns the server default without a camera policy', () => {
+    assert.deepEqual(resolveRestartPolicy(undefined), {
+      ...config.restartPolicy,
+      maxDelay: Math.max(config.restartPolicy.maxDelay, config.restartPolicy.initialDelay)
+    });
+  });
+
+  it('overrides set fields and keeps the default for unset and null ones', () => {
+    const policy = resolveRestartPolicy({ maxAttempts: 3, lockoutSafe: true, cooldown: null });
+    assert.equal(policy.maxAttempts, 3);
+    assert.equal(policy.lockoutSafe, true);
+    assert.equal(policy.cooldown, config.restartPolicy.cooldown);
+    assert.equal(policy.lockoutMinDelay, config.restartPolicy.lockoutMinDelay);
+  });
+
+  it('raises maxDelay to a larger camera initialDelay', () => {
+    const initialDelay = config.restartPolicy.maxDelay + 1000;
+    assert.equal(resolveRestartPolicy({ initialDelay }).maxDelay, initialDelay);
+  });
+});
+
+describe('isLoginFailure', () => {
+  it('recognises refused logins only', () => {
+    assert.ok(isLoginFailure('auth_failed'));
+    assert.ok(!isLoginFailure('connection_refused'));
+    assert.ok(!isLoginFailure(undefined));
+  });
+});
@@ -0,0 +1,336 @@
+const config = require('../config');
+const encodingProfiles = require('../config/encodingProfiles');
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const H264_PROFILES = ['baseline', 'main', 'high'];
+const VIDEO_MODES = ['transcode', 'copy', 'auto'];
+const AUDIO_CODECS = ['aac', 'opus', 'copy', 'auto'];
+
+// Source audio codecs MediaMTX can serve to players as-is
+const PASSTHROUGH_AUDIO_CODECS = ['aac', 'opus'];
+
+// ffprobe profile names and pixel formats browsers can play without re-encoding
+const PLAYABLE_H264_PROFILES = ['Baseline', 'Constrained Baseline', 'Main', 'High'];
+const PLAYABLE_PIXEL_FORMATS = ['yuv420p', 'yuvj420p'];
+
+// Cheaper encodings the load governor steps cameras down to (level 1, 2, ...), see services/LoadGovernor.js
+const DEGRADATION_STEPS = [
+  { maxHeight: 720, maxFps: 15, bitrateFactor: 0.6 },
+  { maxHeight: 480, maxFps: 10, bitrateFactor: 0.35 }
+];
+const MAX_DEGRADATION_LEVEL = DEGRADATION_STEPS.length;
+
+// Validators for each overridable field
+const OVERRIDE_FIELDS = {
+  videoBitrate: value => typeof value === 'string' && BITRATE_PATTERN.test(value),
+  maxrate: value => typeof value === 'string' && BITRATE_PATTERN.test(value),
+  bufsize: value => typeof value === 'string' && BITRATE_PATTERN.test(value),
+  width: value => value === null || (Number.isInteger(value) && value >= 16 && value <= 7680),
+  height: value => value === null || (Number.isInteger(value) && value >= 16 && value <= 4320),
+  fps: value => value === null || (typeof value === 'number' && value > 0 && value <= 60),
+  gop: value => Number.isInteger(value) && value >= 1 && value <= 600,
+  preset: value => PRESETS.includes(value),
+  profile: value => H264_PROFILES.includes(value),
+  level: value => typeof value === 'string' && /^[1-6](\.[0-2])?$/.test(value)
+};
+
+/**
+ * Whether a name is one of the configured encoding profiles (not an inherited key such as 'constructor')
+ */
+function isEncodingProfile(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(encodingProfiles, name);
+}
+
+/**
+ * Validate encodingProfile / encodingOverrides from a request body
+ * @returns {string[]} Validation errors
+ */
+function validateEncodingSettings({ encodingProfile, encodingOverrides, videoMode, audio, abr }) {
+  const errors = [];
+
+  if (abr !== undefined) {
+    if (!abr || typeof abr !== 'object' || Array.isArray(abr)) {
+      errors.push('abr must be an object');
+    } else {
+      if (abr.enabled !== undefined && typeof abr.enabled !== 'boolean') {
+        errors.push('abr.enabled must be a boolean');
+      }
+      if (abr.renditions !== undefined) {
+        if (!Array.isArray(abr.renditions)) {
+          errors.push('abr.renditions must be an array of encoding profile names');
+        } else {
+          const unknown = abr.renditions.filter(name => !isEncodingProfile(name));
+          if (unknown.length > 0) {
+            errors.push(`abr.renditions contains unknown profiles: ${unknown.join(', ')}`);
+          }
+          if (new Set(abr.renditions).size !== abr.renditions.length) {
+            errors.push('abr.renditions must not contain duplicates');
+          }
+          if (abr.renditions.length > config.encoding.maxRenditions) {
+            errors.push(`abr.renditions allows at most ${config.encoding.maxRenditions} entries`);
+          }
+        }
+      }
+      const unknownKeys = Object.keys(abr).filter(key => !['enabled', 'renditions'].includes(key));
+      unknownKeys.forEach(key => errors.push(`abr.${key} is not a known ABR setting`));
+    }
+  }
+
+  if (audio !== undefined) {
+    if (!audio || typeof audio !== 'object' || Array.isArray(audio)) {
+      errors.push('audio must be an object');
+    } else {
+      if (audio.enabled !== undefined && typeof audio.enabled !== 'boolean') {
+        errors.push('audio.enabled must be a boolean');
+      }
+      if (audio.codec !== undefined && !AUDIO_CODECS.includes(audio.codec)) {
+        errors.push(`audio.codec must be one of: ${AUDIO_CODECS.join(', ')}`);
+      }
+      if (audio.bitrate !== undefined &&
+          (typeof audio.bitrate !== 'string' || !BITRATE_PATTERN.test(audio.bitrate))) {
+        errors.push('audio.bitrate must be a bitrate such as "64k"');
+      }
+      const unknown = Object.keys(audio).filter(key => !['enabled', 'codec', 'bitrate'].includes(key));
+      unknown.forEach(key => errors.push(`audio.${key} is not a known audio setting`));
+    }
+  }
+
+  if (videoMode !== undefined && videoMode !== '' && !VIDEO_MODES.includes(videoMode)) {
+    errors.push(`videoMode must be one of: ${VIDEO_MODES.join(', ')}`);
+  }
+
+  if (encodingProfile !== undefined && encodingProfile !== '' && !isEncodingProfile(encodingProfile)) {
+    errors.push(`encodingProfile must be one of: ${Object.keys(encodingProfiles).join(', ')}`);
+  }
+
+  if (encodingOverrides !== undefined && encodingOverrides !== null) {
+    if (typeof encodingOverrides !== 'object' || Array.isArray(encodingOverrides)) {
+      errors.push('encodingOverrides must be an object');
+    } else {
+      for (const [field, value] of Object.entries(encodingOverrides)) {
+        const isValid = Object.prototype.hasOwnProperty.call(OVERRIDE_FIELDS, field) && OVERRIDE_FIELDS[field];
+        if (!isValid) {
+          errors.push(`encodingOverrides.${field} is not a known encoding setting`);
+        } else if (!isValid(value)) {
+          errors.push(`encodingOverrides.${field} has an invalid value`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Profile used when a camera has none, 'standard' if ENCODING_DEFAULT_PROFILE is unknown
+const DEFAULT_PROFILE = isEncodingProfile(config.encoding.defaultProfile)
+  ? config.encoding.defaultProfile
+  : 'standard';
+
+// Mode used when a camera has none
+const DEFAULT_VIDEO_MODE = VIDEO_MODES.includes(config.encoding.defaultVideoMode)
+  ? config.encoding.defaultVideoMode
+  : 'transcode';
+
+/**
+ * Whether a probed source can be passed through (-c:v copy) and still play in browsers
+ */
+function isPassthroughCompatible(sourceInfo) {
+  if (!sourceInfo || !sourceInfo.reachable || sourceInfo.codec !== 'h264') return false;
+  if (!PLAYABLE_H264_PROFILES.includes(sourceInfo.profile)) return false;
+  return !sourceInfo.pixelFormat || PLAYABLE_PIXEL_FORMATS.includes(sourceInfo.pixelFormat);
+}
+
+/**
+ * Decide between 'copy' and 'transcode' for a configured video mode
+ * @param {string} videoMode - transcode, copy or auto
+ * @param {Object} [sourceInfo] - Probe result for the source (needed for auto)
+ * @returns {string} 'copy' or 'transcode'
+ */
+function resolveVideoMode(videoMode, sourceInfo) {
+  const mode = VIDEO_MODES.includes(videoMode) ? videoMode : DEFAULT_VIDEO_MODE;
+  if (mode === 'auto') {
+    return isPassthroughCompatible(sourceInfo) ? 'copy' : 'transcode';
+  }
+  return mode;
+}
+
+/**
+ * Decide how the first audio stream is handled
+ * @param {Object} [audio] - Camera audio settings { enabled, codec, bitrate }
+ * @param {Object} [sourceInfo] - Probe result for the source (needed for auto)
+ * @returns {string|null} 'aac', 'opus', 'copy' or null when audio is disabled
+ */
+function resolveAudioCodec(audio, sourceInfo) {
+  if (!audio || !audio.enabled) return null;
+  if (audio.codec === 'auto') {
+    return sourceInfo && PASSTHROUGH_AUDIO_CODECS.includes(sourceInfo.audioCodec) ? 'copy' : 'aac';
+  }
+  return AUDIO_CODECS.includes(audio.codec) ? audio.codec : 'aac';
+}
+
+/**
+ * FFmpeg output arguments for the audio track
+ * The optional map (0:a:0?) keeps cameras without a microphone working
+ */
+function buildAudioArgs(audioCodec, bitrate) {
+  const args = ['-map', '0:a:0?'];
+
+  if (audioCodec === 'copy') {
+    args.push('-c:a', 'copy');
+  } else if (audioCodec === 'opus') {
+    args.push('-c:a', 'libopus', '-b:a', bitrate || '64k', '-ar', '48000');
+  } else {
+    args.push('-c:a', 'aac', '-b:a', bitrate || '64k');
+  }
+
+  return args;
+}
+
+/**
+ * Resolve a named profile plus per-camera overrides into a complete encoding profile
+ * Unknown or empty names fall back to the configured default profile
+ */
+function resolveEncodingProfile(profileName, overrides = {}) {
+  const name = isEncodingProfile(profileName) ? profileName : DEFAULT_PROFILE;
+  const profile = { name, ...encodingProfiles[name] };
+
+  for (const field of Object.keys(OVERRIDE_FIELDS)) {
+    if (overrides && overrides[field] !== undefined) {
+      profile[field] = overrides[field];
+    }
+  }
+
+  if (!profile.bufsize) {
+    profile.bufsize = doubleBitrate(profile.maxrate);
+  }
+
+  return profile;
+}
+
+/**
+ * Encoding profiles for the extra ABR renditions of a camera
+ * @param {Object} [abr] - Camera ABR settings { enabled, renditions }
+ * @returns {Object[]} Resolved profiles, empty when the ladder is off
+ */
+function resolveRenditions(abr) {
+  if (!abr || !abr.enabled) return [];
+  const names = abr.renditions && abr.renditions.length > 0
+    ? abr.renditions
+    : config.encoding.defaultRenditions;
+
+  return names
+    .filter(isEncodingProfile)
+    .slice(0, config.encoding.maxRenditions)
+    .map(name => resolveEncodingProfile(name));
+}
+
+/**
+ * '2.5M' -> 2500000, '800k' -> 800000
+ */
+function bitrateToBps(bitrate) {
+  const match = String(bitrate).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * '2.5M' -> '5M', '800k' -> '1600k'
+ */
+function doubleBitrate(bitrate) {
+  const match = String(bitrate).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  if (!match) return bitrate;
+  return `${parseFloat(match[1]) * 2}${match[2]}`;
+}
+
+/**
+ * Scale a bitrate in FFmpeg notation: ('2.5M', 0.6) -> '1500k'
+ */
+function scaleBitrate(bitrate, factor) {
+  const bps = bitrateToBps(bitrate);
+  return bps ? `${Math.max(Math.round(bps * factor / 1000), 100)}k` : bitrate;
+}
+
+/**
+ * Reduced-quality version of an encoding profile for a load governor step
+ * Resolution and frame rate are capped (never raised) and the bitrates scaled down; the key frame
+ * interval keeps its length in seconds.
+ * @param {Object} profile - Resolved encoding profile
+ * @param {number} level - 0 (unchanged) to MAX_DEGRADATION_LEVEL
+ * @returns {Object} Profile with degradation set to the applied level
+ */
+function degradeEncoding(profile, level) {
+  const step = DEGRADATION_STEPS[Math.min(level, MAX_DEGRADATION_LEVEL) - 1];
+  if (!step) return profile;
+
+  const fps = Math.min(profile.fps || step.maxFps, step.maxFps);
+  return {
+    ...profile,
+    width: null, // height alone keeps the aspect ratio
+    height: Math.min(profile.height || step.maxHeight, step.maxHeight),
+    fps,
+    gop: profile.fps ? Math.max(Math.round(profile.gop * fps / profile.fps), 1) : fps * 2,
+    videoBitrate: scaleBitrate(profile.videoBitrate, step.bitrateFactor),
+    maxrate: scaleBitrate(profile.maxrate, step.bitrateFactor),
+    bufsize: scaleBitrate(profile.bufsize, step.bitrateFactor),
+    degradation: Math.min(level, MAX_DEGRADATION_LEVEL)
+  };
+}
+
+/**
+ * FFmpeg output arguments for a libx264 encode with the given profile
+ */
+function buildVideoEncodeArgs(profile) {
+  const filters = [];
+  if (profile.fps) {
+    filters.push(`fps=${profile.fps}`);
+  }
+  if (profile.width && profile.height) {
+    filters.push(`scale=${profile.width}:${profile.height}`);
+  } else if (profile.height) {
+    // -2 keeps the aspect ratio with an even dimension (required by yuv420p); never upscale
+    filters.push(`scale=-2:'min(${profile.height},ih)'`);
+  } else if (profile.width) {
+    filters.push(`scale='min(${profile.width},iw)':-2`);
+  }
+
+  const args = [];
+  if (filters.length > 0) {
+    args.push('-vf', filters.join(','));
+  }
+
+  args.push(
+    '-c:v', 'libx264',
+    '-preset', profile.preset,
+    '-tune', 'zerolatency',
+    '-profile:v', profile.profile,
+    '-level', profile.level,
+    '-pix_fmt', 'yuv420p',
+    '-g', String(profile.gop),
+    '-keyint_min', String(profile.gop),
+    '-x264-params', 'scenecut=0:sync-lookahead=0:sliced-threads=1',
+    '-b:v', profile.videoBitrate,
+    '-maxrate', profile.maxrate,
+    '-bufsize', profile.bufsize
+  );
+
+  return args;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  DEFAULT_VIDEO_MODE,
+  VIDEO_MODES,
+  MAX_DEGRADATION_LEVEL,
+  validateEncodingSettings,
+  isPassthroughCompatible,
+  resolveVideoMode,
+  resolveAudioCodec,
+  buildAudioArgs,
+  resolveRenditions,
+  bitrateToBps,
+  resolveEncodingProfile,
+  degradeEncoding,
+  buildVideoEncodeArgs
+};
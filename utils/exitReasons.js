@@ -0,0 +1,82 @@
+/**
+ * Classification of FFmpeg exits into reasons the UI can explain to users
+ */
+
+// Checked in order against the process's stderr, most specific first.
+// Publish failures come before the generic ones: MediaMTX answers ANNOUNCE/RECORD, the camera answers DESCRIBE/SETUP.
+const STDERR_PATTERNS = [
+  {
+    reason: 'mediamtx_publish_rejected',
+    pattern: /method (ANNOUNCE|RECORD) failed/i,
+    message: 'MediaMTX rejected the stream'
+  },
+  {
+    reason: 'auth_failed',
+    pattern: /401 Unauthorized|403 Forbidden/i,
+    message: 'Camera rejected the username or password'
+  },
+  {
+    reason: 'not_found',
+    pattern: /404 Not Found|454 Session Not Found|No such file or directory/i,
+    message: 'Stream path not found on the camera'
+  },
+  {
+    reason: 'connection_refused',
+    pattern: /Connection refused|No route to host|Network is unreachable|Name or service not known|Temporary failure in name resolution/i,
+    message: 'Camera refused or could not be reached'
+  },
+  {
+    reason: 'timeout',
+    pattern: /timed out|Connection timeout/i,
+    message: 'Camera did not respond in time'
+  },
+  {
+    reason: 'unsupported_codec',
+    pattern: /Unsupported codec|Decoder \(codec .*\) not found|codec not currently supported|Could not find codec parameters|Invalid data found when processing input/i,
+    message: 'Camera sends a codec that cannot be processed'
+  }
+];
+
+const EXIT_REASONS = [
+  ...STDERR_PATTERNS.map(entry => entry.reason),
+  'killed',
+  'source_ended',
+  'spawn_failed',
+  'unknown'
+];
+
+/**
+ * Classify a process exit
+ * @param {Object} exit
+ * @param {number|null} exit.code - Exit code
+ * @param {string|null} exit.signal - Signal that ended the process
+ * @param {string[]} [exit.stderr] - Recent stderr lines of the process, oldest first
+ * @returns {{ reason: string, message: string, detail: string|null }}
+ */
+function classifyExit({ code, signal, stderr = [] }) {
+  // The last matching line is closest to the failure
+  for (const { reason, pattern, message } of STDERR_PATTERNS) {
+    const line = [...stderr].reverse().find(text => pattern.test(text));
+    if (line) {
+      return { reason, message, detail: line };
+    }
+  }
+
+  // FFmpeg catches SIGTERM/SIGINT itself and exits with a code instead of the signal
+  const signalLine = stderr.find(text => /received signal \d+/i.test(text));
+  if (signal || signalLine) {
+    return { reason: 'killed', message: `FFmpeg was killed (${signal || 'signal'})`, detail: signalLine || null };
+  }
+
+  if (code === 0) {
+    return { reason: 'source_ended', message: 'Camera ended the stream', detail: null };
+  }
+
+  const lastLine = stderr.length > 0 ? stderr[stderr.length - 1] : null;
+  return { reason: 'unknown', message: `FFmpeg exited with code ${code}`, detail: lastLine };
+}
+
+module.exports = {
+  EXIT_REASONS,
+  classifyExit
+};
@@ -0,0 +1,109 @@
+/**
+ * Parser for FFmpeg `-progress pipe:1` output
+ * FFmpeg writes key=value lines and ends each block with progress=continue|end.
+ */
+
+/**
+ * Empty metrics object kept on processInfo.metrics
+ */
+function createMetrics() {
+  return {
+    frames: 0,
+    fps: null,
+    bitrateKbps: null,
+    speed: null,
+    droppedFrames: 0,
+    duplicatedFrames: 0,
+    outTimeMs: null,
+    lastFrameAt: null,
+    lastProgressAt: null
+  };
+}
+
+/**
+ * '2510.4kbits/s' -> 2510.4, 'N/A' -> null
+ */
+function parseBitrate(value) {
+  const match = String(value).match(/^([\d.]+)kbits\/s$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * '1.01x' -> 1.01, 'N/A' -> null
+ */
+function parseSpeed(value) {
+  const match = String(value).match(/^([\d.]+)x$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Apply one finished progress block to a metrics object
+ * @param {Object} metrics - Metrics object (mutated)
+ * @param {Object} block - Raw key/value pairs of the block
+ */
+function applyProgressBlock(metrics, block) {
+  const now = Date.now();
+  const frames = parseInt(block.frame);
+
+  if (Number.isFinite(frames)) {
+    if (frames > metrics.frames) {
+      metrics.lastFrameAt = now;
+    }
+    metrics.frames = frames;
+  }
+
+  const fps = parseFloat(block.fps);
+  metrics.fps = Number.isFinite(fps) ? fps : null;
+  metrics.bitrateKbps = parseBitrate(block.bitrate);
+  metrics.speed = parseSpeed(block.speed);
+  metrics.droppedFrames = parseInt(block.drop_frames) || 0;
+  metrics.duplicatedFrames = parseInt(block.dup_frames) || 0;
+
+  // out_time_ms is in microseconds despite its name; prefer out_time_us when present
+  const outTimeUs = parseInt(block.out_time_us || block.out_time_ms);
+  metrics.outTimeMs = Number.isFinite(outTimeUs) ? Math.floor(outTimeUs / 1000) : metrics.outTimeMs;
+  metrics.lastProgressAt = now;
+}
+
+/**
+ * Create a streaming parser for stdout chunks
+ * @param {Object} metrics - Metrics object updated after each block
+ * @param {Function} [onOtherLine] - Called with lines that are not progress output
+ * @returns {Function} push(chunk)
+ */
+function createProgressParser(metrics, onOtherLine) {
+  let buffer = '';
+  let block = {};
+
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const separator = line.indexOf('=');
+      if (separator === -1) {
+        if (onOtherLine) onOtherLine(line);
+        continue;
+      }
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'progress') {
+        applyProgressBlock(metrics, block);
+        block = {};
+      } else {
+        block[key] = value;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMetrics,
+  createProgressParser
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+
+/**
+ * Helpers for inspecting processes through /proc (Linux only)
+ */
+
+// Kernel clock ticks per second (USER_HZ) - 100 on every mainstream Linux architecture
+const CLOCK_TICKS = 100;
+
+/**
+ * Whether /proc can be used on this platform
+ */
+function isSupported() {
+  return process.platform === 'linux' && fs.existsSync('/proc/self/cmdline');
+}
+
+/**
+ * Command line of a process
+ * @param {number} pid
+ * @returns {string[]|null} argv, or null when the process does not exist or cannot be read
+ */
+function readCmdline(pid) {
+  try {
+    const raw = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+    // Zombies have an empty cmdline
+    if (!raw) return null;
+    return raw.split('\0').filter(arg => arg !== '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * CPU time and parent of a process from /proc/<pid>/stat
+ * @param {number} pid
+ * @returns {Object|null} { cpuSeconds (user + system), startTicks (start time since boot, tells reused PIDs apart),
+ *   parentPid }, or null when the process does not exist
+ */
+function readStat(pid) {
+  let raw;
+  try {
+    raw = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  // The command name may contain spaces and parentheses - fields after it start at the last ')'
+  const fields = raw.slice(raw.lastIndexOf(')') + 2).split(' ');
+  // fields[0] is field 3 (state): ppid = field 4, utime = field 14, stime = field 15, starttime = field 22
+  const utime = Number(fields[11]);
+  const stime = Number(fields[12]);
+  if (!Number.isFinite(utime) || !Number.isFinite(stime)) return null;
+
+  return {
+    cpuSeconds: (utime + stime) / CLOCK_TICKS,
+    startTicks: Number(fields[19]),
+    parentPid: Number(fields[1])
+  };
+}
+
+/**
+ * Memory use of a process from /proc/<pid>/status
+ * @param {number} pid
+ * @returns {Object|null} { rssBytes, peakRssBytes } (VmRSS, VmHWM), or null when the process does not exist
+ */
+function readMemory(pid) {
+  let raw;
+  try {
+    raw = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  const readKb = (key) => {
+    const match = raw.match(new RegExp(`^${key}:\\s+(\\d+) kB`, 'm'));
+    return match ? parseInt(match[1]) * 1024 : null;
+  };
+  return {
+    rssBytes: readKb('VmRSS'),
+    peakRssBytes: readKb('VmHWM')
+  };
+}
+
+/**
+ * Whether a process exists (also true for processes of other users)
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = {
+  isSupported,
+  readCmdline,
+  readStat,
+  readMemory,
+  isAlive
+};
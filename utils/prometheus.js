@@ -0,0 +1,171 @@
+/**
+ * Minimal Prometheus text exposition format (version 0.0.4)
+ * Counters, gauges and histograms with labels; enough for GET /metrics without a client library.
+ */
+
+/**
+ * Escape a label value: backslash, double quote and line feed
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * {a: '1', b: '2'} -> '{a="1",b="2"}', '' without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Series key of a label set - label order does not matter
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // labelKey -> { labels, value }
+  }
+
+  getSeries(labels) {
+    const key = labelKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, value: 0 };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Drop all series (gauges rebuilt on every scrape)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+   */
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  getSeries(labels) {
+    const key = labelKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  observe(labels, value) {
+    const entry = this.getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Set of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
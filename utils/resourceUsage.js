@@ -0,0 +1,79 @@
+/**
+ * CPU and memory use of a stream's FFmpeg process, from periodic /proc samples (see utils/procfs.js)
+ * CPU is in percent of one core, like top: a process using two full cores reports 200.
+ */
+
+/**
+ * Empty usage object kept on processInfo.resources
+ */
+function createResourceUsage() {
+  return {
+    cpuPercent: null, // over the last sample interval
+    cpuPercentAvg: null, // over the rolling window
+    cpuSeconds: null, // total CPU time of the process
+    rssBytes: null,
+    peakRssBytes: null,
+    sampledAt: null,
+    startTicks: null, // process start time, tells a reused PID apart
+    samples: [] // [{ at, cpuSeconds }] within the window
+  };
+}
+
+/**
+ * Apply one sample to a usage object
+ * @param {Object} usage - Usage object (mutated)
+ * @param {Object} stat - From procfs.readStat
+ * @param {Object|null} memory - From procfs.readMemory
+ * @param {number} windowMs - Length of the rolling CPU average
+ * @param {number} [now]
+ */
+function applyResourceSample(usage, stat, memory, windowMs, now = Date.now()) {
+  // Another process got the PID - start over
+  if (usage.startTicks !== null && usage.startTicks !== stat.startTicks) {
+    usage.samples = [];
+  }
+  usage.startTicks = stat.startTicks;
+
+  const previous = usage.samples[usage.samples.length - 1];
+  usage.samples.push({ at: now, cpuSeconds: stat.cpuSeconds });
+  while (usage.samples.length > 2 && now - usage.samples[0].at > windowMs) {
+    usage.samples.shift();
+  }
+
+  usage.cpuPercent = previous ? cpuPercentBetween(previous, usage.samples[usage.samples.length - 1]) : null;
+  usage.cpuPercentAvg = usage.samples.length > 1
+    ? cpuPercentBetween(usage.samples[0], usage.samples[usage.samples.length - 1])
+    : null;
+  usage.cpuSeconds = stat.cpuSeconds;
+  if (memory) {
+    usage.rssBytes = memory.rssBytes;
+    usage.peakRssBytes = memory.peakRssBytes;
+  }
+  usage.sampledAt = now;
+}
+
+function cpuPercentBetween(from, to) {
+  const elapsedSeconds = (to.at - from.at) / 1000;
+  if (elapsedSeconds <= 0) return null;
+  return Math.round(((to.cpuSeconds - from.cpuSeconds) / elapsedSeconds) * 1000) / 10;
+}
+
+/**
+ * Public view of a usage object (without the raw samples)
+ */
+function summarizeResourceUsage(usage) {
+  return {
+    cpuPercent: usage.cpuPercent,
+    cpuPercentAvg: usage.cpuPercentAvg,
+    cpuSeconds: usage.cpuSeconds,
+    rssBytes: usage.rssBytes,
+    peakRssBytes: usage.peakRssBytes,
+    sampledAt: usage.sampledAt
+  };
+}
+
+module.exports = {
+  createResourceUsage,
+  applyResourceSample,
+  summarizeResourceUsage
+};
@@ -0,0 +1,101 @@
+const config = require('../config');
+
+/**
+ * Per-camera restart policy on top of the server default (config.restartPolicy)
+ * Unset or null fields fall back to the default.
+ */
+
+// Numeric policy fields and their allowed range
+const NUMERIC_FIELDS = {
+  initialDelay: { min: 500, max: 3600000 }, // ms
+  multiplier: { min: 1, max: 10 },
+  maxDelay: { min: 1000, max: 86400000 }, // ms
+  maxAttempts: { min: 1, max: 1000, integer: true },
+  cooldown: { min: 10000, max: 86400000 } // ms
+};
+
+// Exit reasons that mean the camera (or its NVR) refused our login
+const LOGIN_FAILURE_REASONS = ['auth_failed'];
+
+/**
+ * Whether a key is one of the numeric policy fields (not an inherited key such as 'constructor')
+ */
+function isNumericField(key) {
+  return Object.prototype.hasOwnProperty.call(NUMERIC_FIELDS, key);
+}
+
+/**
+ * Validate restartPolicy settings from a request body
+ * @returns {string[]} Validation errors
+ */
+function validateRestartPolicy(restartPolicy) {
+  const errors = [];
+  if (restartPolicy === undefined) return errors;
+
+  if (!restartPolicy || typeof restartPolicy !== 'object' || Array.isArray(restartPolicy)) {
+    return ['restartPolicy must be an object'];
+  }
+
+  for (const [key, value] of Object.entries(restartPolicy)) {
+    // null resets a field to the server default
+    if (value === null) {
+      if (key !== 'lockoutSafe' && !isNumericField(key)) {
+        errors.push(`restartPolicy.${key} is not a known restart setting`);
+      }
+      continue;
+    }
+
+    if (key === 'lockoutSafe') {
+      if (typeof value !== 'boolean') errors.push('restartPolicy.lockoutSafe must be a boolean');
+    } else if (isNumericField(key)) {
+      const { min, max, integer } = NUMERIC_FIELDS[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max ||
+          (integer && !Number.isInteger(value))) {
+        errors.push(`restartPolicy.${key} must be ${integer ? 'an integer ' : ''}between ${min} and ${max}`);
+      }
+    } else {
+      errors.push(`restartPolicy.${key} is not a known restart setting`);
+    }
+  }
+
+  const { initialDelay, maxDelay } = restartPolicy;
+  if (typeof initialDelay === 'number' && typeof maxDelay === 'number' && maxDelay < initialDelay) {
+    errors.push('restartPolicy.maxDelay cannot be lower than restartPolicy.initialDelay');
+  }
+
+  return errors;
+}
+
+/**
+ * Effective restart policy of a camera
+ * @param {Object} [cameraPolicy] - Camera.restartPolicy
+ * @returns {Object} { initialDelay, multiplier, maxDelay, maxAttempts, cooldown, lockoutSafe, lockoutMinDelay }
+ */
+function resolveRestartPolicy(cameraPolicy) {
+  const policy = { ...config.restartPolicy };
+
+  if (cameraPolicy) {
+    for (const key of [...Object.keys(NUMERIC_FIELDS), 'lockoutSafe']) {
+      if (cameraPolicy[key] !== undefined && cameraPolicy[key] !== null) {
+        policy[key] = cameraPolicy[key];
+      }
+    }
+  }
+
+  // A camera-level initialDelay may exceed the default maxDelay
+  policy.maxDelay = Math.max(policy.maxDelay, policy.initialDelay);
+  return policy;
+}
+
+/**
+ * Whether a failure reason is a refused login
+ */
+function isLoginFailure(reason) {
+  return LOGIN_FAILURE_REASONS.includes(reason);
+}
+
+module.exports = {
+  validateRestartPolicy,
+  resolveRestartPolicy,
+  isLoginFailure
+};
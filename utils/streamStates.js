@@ -0,0 +1,39 @@
+/**
+ * Stream lifecycle states and the transitions allowed between them
+ *
+ *   idle        - no process, nothing scheduled (stopped, or not started yet)
+ *   pending_capacity - waiting for a start slot, or refused because the node is full
+ *   starting    - FFmpeg spawned, waiting for the process to come up
+ *   validating  - process is up, waiting for the stream to prove stable
+ *   live        - validated and producing frames
+ *   degraded    - live process with a problem (stalled, frozen or black video)
+ *   backing_off - process died, a restart is scheduled
+ *   failed      - process died and no restart is scheduled (the monitor retries later)
+ *   disabled    - camera deactivated
+ */
+const STATES = ['idle', 'pending_capacity', 'starting', 'validating', 'live', 'degraded', 'backing_off', 'failed', 'disabled'];
+
+const TRANSITIONS = {
+  idle: ['pending_capacity', 'starting', 'disabled'],
+  pending_capacity: ['starting', 'idle', 'disabled'],
+  starting: ['validating', 'backing_off', 'failed', 'idle', 'disabled'],
+  validating: ['live', 'backing_off', 'failed', 'idle', 'disabled'],
+  live: ['degraded', 'backing_off', 'failed', 'idle', 'disabled'],
+  degraded: ['live', 'backing_off', 'failed', 'idle', 'disabled'],
+  backing_off: ['pending_capacity', 'starting', 'failed', 'idle', 'disabled'],
+  failed: ['pending_capacity', 'starting', 'backing_off', 'idle', 'disabled'],
+  disabled: ['idle']
+};
+
+/**
+ * Whether a stream may move from one state to another
+ */
+function isLegalTransition(from, to) {
+  return !!TRANSITIONS[from] && TRANSITIONS[from].includes(to);
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  isLegalTransition
+};
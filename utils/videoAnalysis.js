@@ -0,0 +1,116 @@
+/**
+ * Frozen-image and black-frame detection on a low-rate side output of the FFmpeg process
+ * freezedetect/blackdetect attach metadata to frames; the metadata filter prints it to pipe:3.
+ */
+
+const ANALYSIS_FD = 3;
+
+// Frame metadata keys -> condition transitions
+const METADATA_CONDITIONS = {
+  'lavfi.freezedetect.freeze_start': { condition: 'video_frozen', active: true },
+  'lavfi.freezedetect.freeze_end': { condition: 'video_frozen', active: false },
+  'lavfi.black_start': { condition: 'video_black', active: true },
+  'lavfi.black_end': { condition: 'video_black', active: false }
+};
+
+const CONDITIONS = ['video_frozen', 'video_black'];
+
+/**
+ * Validate videoAnalysis settings from a request body
+ * @returns {string[]} Validation errors
+ */
+function validateAnalysisSettings(videoAnalysis) {
+  const errors = [];
+  if (videoAnalysis === undefined) return errors;
+
+  if (!videoAnalysis || typeof videoAnalysis !== 'object' || Array.isArray(videoAnalysis)) {
+    return ['videoAnalysis must be an object'];
+  }
+
+  for (const [key, value] of Object.entries(videoAnalysis)) {
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') errors.push('videoAnalysis.enabled must be a boolean');
+    } else if (key === 'freezeSeconds' || key === 'blackSeconds') {
+      if (typeof value !== 'number' || value < 1 || value > 600) {
+        errors.push(`videoAnalysis.${key} must be between 1 and 600`);
+      }
+    } else {
+      errors.push(`videoAnalysis.${key} is not a known analysis setting`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Output arguments for the analysis branch (1 fps, small frames, discarded output)
+ * @param {Object} analysis - { freezeSeconds, blackSeconds }
+ */
+function buildAnalysisArgs(analysis) {
+  const filters = [
+    'fps=1',
+    'scale=320:-2',
+    `freezedetect=n=-60dB:d=${analysis.freezeSeconds}`,
+    `blackdetect=d=${analysis.blackSeconds}:pix_th=0.10`,
+    `metadata=mode=print:file=pipe\\:${ANALYSIS_FD}`
+  ];
+
+  return [
+    '-map', '0:v:0',
+    '-vf', filters.join(','),
+    '-an',
+    '-f', 'null',
+    '-'
+  ];
+}
+
+/**
+ * Create a streaming parser for the metadata printed on pipe:3
+ * Output looks like:
+ *   frame:42   pts:42      pts_time:42
+ *   lavfi.freezedetect.freeze_start=31
+ * @param {Function} onTransition - Called with { condition, active, mediaTime, currentMediaTime }
+ * @returns {Function} push(chunk)
+ */
+function createAnalysisParser(onTransition) {
+  let buffer = '';
+  let currentMediaTime = null;
+
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const header = line.match(/pts_time:\s*([\d.]+)/);
+      if (header) {
+        currentMediaTime = parseFloat(header[1]);
+        continue;
+      }
+
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+
+      const transition = METADATA_CONDITIONS[line.slice(0, separator)];
+      if (!transition) continue;
+
+      const mediaTime = parseFloat(line.slice(separator + 1));
+      onTransition({
+        ...transition,
+        mediaTime: Number.isFinite(mediaTime) ? mediaTime : null,
+        currentMediaTime
+      });
+    }
+  };
+}
+
+module.exports = {
+  ANALYSIS_FD,
+  CONDITIONS,
+  validateAnalysisSettings,
+  buildAnalysisArgs,
+  createAnalysisParser
+};
@@ -0,0 +1,185 @@
+/**
+ * Detached FFmpeg worker (see services/StreamWorkers.js)
+ *
+ * Started by the API process with detached: true, the stream name as its only argument (so the API can
+ * recognise it in /proc/<pid>/cmdline) and the job as JSON on stdin:
+ *   { streamName, command, args, analysisFd, stateDir, lingerMs, meta }
+ * The worker runs one FFmpeg process and outlives API restarts. It publishes
+ *   <stateDir>/<streamName>-<workerPid>.json  - state file (FFmpeg PID, start time, meta)
+ *   <stateDir>/<streamName>-<workerPid>.sock  - control socket
+ * The API connects to the socket and receives newline-delimited JSON messages:
+ *   { type: 'spawn', pid } | { type: 'output', fd, data (base64) } | { type: 'exit', code, signal } | { type: 'error', message }
+ * Messages produced while no API is connected are buffered and sent on the next connection.
+ * Once FFmpeg exits and the exit was delivered (or lingerMs passed without a client) the worker
+ * removes its files and exits.
+ *
+ * Kept free of application modules so it starts fast and never touches the database.
+ */
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Output messages kept while the API is away (progress arrives about twice a second)
+const MAX_PENDING_OUTPUT = 500;
+
+function readJob() {
+  return new Promise((resolve, reject) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { input += chunk; });
+    process.stdin.on('end', () => {
+      try {
+        resolve(JSON.parse(input));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+async function main() {
+  const job = await readJob();
+  const base = path.join(job.stateDir, `${job.streamName}-${process.pid}`);
+  const statePath = `${base}.json`;
+  const socketPath = `${base}.sock`;
+
+  const state = {
+    streamName: job.streamName,
+    workerPid: process.pid,
+    pid: null,
+    startedAt: Date.now(),
+    socketPath,
+    meta: job.meta || {},
+    exit: null
+  };
+
+  let client = null;
+  let pending = [];
+  let finished = false;
+  let lingerTimer = null;
+
+  const writeState = () => {
+    try {
+      fs.writeFileSync(statePath, JSON.stringify(state));
+    } catch (error) {
+      // The API falls back to the socket; nothing else to do here
+    }
+  };
+
+  const cleanup = () => {
+    for (const file of [statePath, socketPath]) {
+      try {
+        fs.unlinkSync(file);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  };
+
+  const shutdown = () => {
+    cleanup();
+    process.exit(0);
+  };
+
+  const send = (message) => {
+    if (client) {
+      client.write(`${JSON.stringify(message)}\n`);
+      return;
+    }
+
+    pending.push(message);
+    const outputCount = pending.filter(entry => entry.type === 'output').length;
+    if (outputCount > MAX_PENDING_OUTPUT) {
+      pending.splice(pending.findIndex(entry => entry.type === 'output'), 1);
+    }
+  };
+
+  // FFmpeg is gone: deliver the outcome, then leave
+  const finish = (message) => {
+    if (finished) return;
+    finished = true;
+    state.exit = message;
+    writeState();
+    send(message);
+
+    if (client) {
+      client.end(shutdown);
+    } else {
+      lingerTimer = setTimeout(shutdown, job.lingerMs);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    // A newer API process takes over from the previous one
+    if (client) client.destroy();
+    client = socket;
+
+    socket.on('close', () => {
+      if (client === socket) client = null;
+    });
+    socket.on('error', () => {});
+    // Nothing is read from the API; data only keeps the socket flowing
+    socket.on('data', () => {});
+
+    const backlog = pending;
+    pending = [];
+    for (const message of backlog) {
+      socket.write(`${JSON.stringify(message)}\n`);
+    }
+
+    if (finished) {
+      clearTimeout(lingerTimer);
+      socket.end(shutdown);
+    }
+  });
+
+  try {
+    fs.unlinkSync(socketPath);
+  } catch (error) {
+    // No stale socket
+  }
+  server.listen(socketPath);
+  writeState();
+
+  const stdio = ['ignore', 'pipe', 'pipe'];
+  if (job.analysisFd) {
+    stdio[job.analysisFd] = 'pipe';
+  }
+
+  const ffmpegProcess = spawn(job.command, job.args, { stdio, windowsHide: true });
+
+  ffmpegProcess.once('spawn', () => {
+    state.pid = ffmpegProcess.pid;
+    writeState();
+    send({ type: 'spawn', pid: ffmpegProcess.pid });
+  });
+
+  const forward = (fd) => (chunk) => send({ type: 'output', fd, data: chunk.toString('base64') });
+  ffmpegProcess.stdout.on('data', forward(1));
+  ffmpegProcess.stderr.on('data', forward(2));
+  if (job.analysisFd) {
+    ffmpegProcess.stdio[job.analysisFd].on('data', forward(job.analysisFd));
+  }
+
+  ffmpegProcess.on('exit', (code, signal) => finish({ type: 'exit', code, signal }));
+  ffmpegProcess.on('error', (error) => finish({ type: 'error', message: error.message }));
+
+  // An explicit stop of the worker stops its stream
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (!finished && state.pid) {
+        ffmpegProcess.kill(signal);
+      } else if (!state.pid) {
+        shutdown();
+      }
+    });
+  }
+  // Detached from any terminal; a closing session must not end the stream
+  process.on('SIGHUP', () => {});
+}
+
+main().catch((error) => {
+  console.error('[Worker] ❌', error.message);
+  process.exit(1);
+});